@@ -5,6 +5,24 @@ import { grey } from '@mui/material/colors';
 import GenreBarChart from './components/GenreBarChart.jsx'
 import RatingYearHeatmap from './components/RatingYearHeatmap.jsx'
 import ParallelCoords from './components/ParallelCoords.jsx'
+import ScatterPlot from './components/ScatterPlot.jsx'
+import TagNetwork from './components/TagNetwork.jsx'
+import CountryMap from './components/CountryMap.jsx'
+import AdaptationTimeline from './components/AdaptationTimeline.jsx'
+import SchemaIssues from './components/SchemaIssues.jsx'
+import DatasetLoader from './components/DatasetLoader.jsx'
+import BookDetailPanel from './components/BookDetailPanel.jsx'
+import UrlStateIssues from './components/UrlStateIssues.jsx'
+import HistoryToolbar from './components/HistoryToolbar.jsx'
+import MotionSelect from './components/MotionSelect.jsx'
+import SearchPanel from './components/SearchPanel.jsx'
+import DataQualityPanel from './components/DataQualityPanel.jsx'
+import { DatasetProvider, useDataset } from './stores/DatasetContext.jsx'
+import { DashboardProvider } from './stores/DashboardContext.jsx'
+import { SelectionProvider } from './stores/SelectionContext.jsx'
+import { ViewProvider } from './stores/ViewContext.jsx'
+import { DataQualityProvider } from './stores/DataQualityContext.jsx'
+import { useUrlState } from './stores/useUrlState.js'
 
 const theme = createTheme({
   palette: {
@@ -17,24 +35,60 @@ const theme = createTheme({
   },
 })
 
+function DatasetStatus() {
+  const { status, error } = useDataset()
+  if (status === 'loading') return <div className="dataset-status">Loading dataset…</div>
+  if (status === 'error') return <div className="dataset-status dataset-status-error">Failed to load dataset: {String(error)}</div>
+  return null
+}
+
 function Layout() {
+  const { issues, dismissIssues } = useUrlState()
+
   return (
     <Box id='main-container'>
       <div className="dashboard-page">
+        <div className="dashboard-toolbar">
+          <DatasetLoader />
+          <HistoryToolbar />
+          <MotionSelect />
+        </div>
+        <DatasetStatus />
+        <SchemaIssues />
+        <UrlStateIssues issues={issues} onDismiss={dismissIssues} />
+        <SearchPanel />
+        <DataQualityPanel />
         <div className="dashboard-grid">
           <div className="dash-cell dash-context">
-            <GenreBarChart topN={10} height={255} />
+            <GenreBarChart height={255} />
           </div>
 
           <div className="dash-cell dash-focus">
             <RatingYearHeatmap height={255} />
           </div>
 
+          <div className="dash-cell dash-network">
+            <TagNetwork height={255} />
+          </div>
+
           <div className="dash-cell dash-advanced">
-            <ParallelCoords height={255} maxDims={6} minDims={4} maxLines={550} />
+            <ParallelCoords height={255} maxDims={6} minDims={4} />
+          </div>
+
+          <div className="dash-cell dash-scatter">
+            <ScatterPlot height={255} />
+          </div>
+
+          <div className="dash-cell dash-map">
+            <CountryMap height={255} />
+          </div>
+
+          <div className="dash-cell dash-adaptation">
+            <AdaptationTimeline height={255} />
           </div>
         </div>
       </div>
+      <BookDetailPanel />
     </Box>
   )
 }
@@ -42,7 +96,17 @@ function Layout() {
 function App() {
   return (
     <ThemeProvider theme={theme}>
-      <Layout />
+      <DatasetProvider>
+        <DashboardProvider>
+          <SelectionProvider>
+            <ViewProvider>
+              <DataQualityProvider>
+                <Layout />
+              </DataQualityProvider>
+            </ViewProvider>
+          </SelectionProvider>
+        </DashboardProvider>
+      </DatasetProvider>
     </ThemeProvider>
   )
 }
@@ -0,0 +1,442 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import * as d3 from 'd3'
+import Button from '@mui/material/Button'
+import { useDataset } from '../stores/DatasetContext.jsx'
+import { useSelection } from '../stores/SelectionContext.jsx'
+import { useView } from '../stores/ViewContext.jsx'
+import { useExclusionReport } from '../stores/DataQualityContext.jsx'
+import { ADAPTATION_SORT_OPTIONS } from '../config/viewOptions.js'
+import { toNumber } from '../utils/bookFields.js'
+import { lagHistogram, ratingShares, splitAdaptations } from '../utils/transforms.js'
+import { anchorOf, isActivationKey, stepIndex } from '../utils/a11y.js'
+import { useMotionDuration } from '../utils/motion.js'
+import { bookCard, useTooltip } from '../utils/tooltip.js'
+import ClearSelectionButton from './ClearSelectionButton.jsx'
+import ExportMenu from './ExportMenu.jsx'
+import ControlSelect from './ControlSelect.jsx'
+import ChartTable from './ChartTable.jsx'
+import TableToggle from './TableToggle.jsx'
+
+const BOOK_COLOR = '#4a78a8'
+const FILM_COLOR = '#e15759'
+const OTHER_COLOR = '#9aa5b1'
+const ROW_HEIGHT = 11
+const LABEL_WIDTH = 128
+const MARGIN = { top: 22, right: 10, bottom: 30 }
+const MAX_LABEL = 22
+const LAG_STEP = 10
+const RATING_STEP = 0.25
+
+const formatRating = d3.format('.2f')
+const formatShare = d3.format('.0%')
+// An empty group has no median.
+const formatMedian = (stats) => (stats.n > 0 ? formatRating(stats.median) : '—')
+const truncate = (text) => (text.length > MAX_LABEL ? `${text.slice(0, MAX_LABEL - 1)}…` : text)
+const lagLabel = (bin) => (bin.x1 === Infinity ? `${bin.x0}+` : `${bin.x0}–${bin.x1 - 1}`)
+
+export default function AdaptationTimeline({ height = 320 }) {
+  const containerRef = useRef(null)
+  const focusKeyRef = useRef(null)
+  const tooltipRef = useTooltip()
+
+  const { rows, schema } = useDataset()
+  const { filteredRows, selectedBook, selectBook, rowId } = useSelection()
+  const { view, setOption } = useView()
+  const { sortBy } = view.adaptation
+  const [width, setWidth] = useState(0)
+  const [showTable, setShowTable] = useState(false)
+  const [page, setPage] = useState(0)
+  const duration = useMotionDuration()
+  const { adapted: adaptedKey, movieYear: movieYearKey, year: yearKey, rating: ratingKey, title: titleKey } = schema.fields
+
+  useEffect(() => {
+    if (!containerRef.current) return
+    const el = containerRef.current
+    const ro = new ResizeObserver((entries) => {
+      const next = Math.floor(entries[0].contentRect.width)
+      setWidth(next)
+    })
+    ro.observe(el)
+    setWidth(Math.floor(el.getBoundingClientRect().width))
+    return () => ro.disconnect()
+  }, [])
+
+  const split = useMemo(
+    () => splitAdaptations(filteredRows, { adaptedKey, yearKey, movieYearKey }),
+    [filteredRows, adaptedKey, yearKey, movieYearKey],
+  )
+
+  // Ratings are read as they are, not imputed: a stand-in mean would skew the
+  // comparison between adapted and other books. Unrated books sort last.
+  const timeline = useMemo(() => {
+    const ratingOf = (d) => (ratingKey ? toNumber(d.row?.[ratingKey]) : null)
+    const items = split.timeline.map((d) => ({
+      ...d,
+      id: rowId(d.row),
+      title: titleKey ? String(d.row?.[titleKey] ?? '') : '',
+      rating: ratingOf(d),
+    }))
+    if (sortBy === 'film') items.sort((a, b) => d3.descending(a.movieYear, b.movieYear) || d3.ascending(a.title, b.title))
+    else if (sortBy === 'rating') items.sort((a, b) => d3.descending(a.rating ?? -Infinity, b.rating ?? -Infinity) || d3.ascending(a.title, b.title))
+    else items.sort((a, b) => d3.descending(a.lag, b.lag) || d3.ascending(a.title, b.title))
+    return items
+  }, [split, sortBy, rowId, titleKey, ratingKey])
+
+  // One dumbbell per book, a page of as many rows as fit at a time.
+  const pageSize = Math.max(1, Math.floor((height - MARGIN.top - MARGIN.bottom) / ROW_HEIGHT))
+  const pageCount = Math.max(1, Math.ceil(timeline.length / pageSize))
+  const current = Math.min(page, pageCount - 1)
+  const pageRows = useMemo(() => timeline.slice(current * pageSize, (current + 1) * pageSize), [timeline, current, pageSize])
+  const pageRange = `${current * pageSize + 1}–${Math.min(timeline.length, (current + 1) * pageSize)} of ${timeline.length}`
+
+  const lags = useMemo(() => lagHistogram(split.timeline.map((d) => d.lag), { step: LAG_STEP }), [split])
+
+  const ratings = useMemo(() => {
+    const ratingsOf = (list) => (ratingKey ? list.map((r) => toNumber(r?.[ratingKey])).filter((v) => v !== null) : [])
+    return ratingShares({ adapted: ratingsOf(split.adapted), other: ratingsOf(split.other) }, { step: RATING_STEP })
+  }, [split, ratingKey])
+
+  useExclusionReport('adaptation', {
+    label: 'Adaptation timeline',
+    total: split.adapted.length,
+    excluded: split.adapted.length - split.timeline.length,
+    reason: 'no publication or film year, or a film dated before the book',
+  })
+
+  const exportRows = () =>
+    timeline.map((d) => ({
+      title: d.title,
+      [yearKey]: d.year,
+      [movieYearKey]: d.movieYear,
+      lag_years: d.lag,
+      rating: d.rating ?? '',
+    }))
+
+  useEffect(() => {
+    const container = containerRef.current
+    if (!container) return
+    if (timeline.length === 0 || width <= 0) {
+      d3.select(container).selectAll('*').remove()
+      return
+    }
+
+    let svg = d3.select(container).select('svg')
+    if (svg.empty()) {
+      svg = d3
+        .select(container)
+        .append('svg')
+        .attr('width', '100%')
+        .attr('preserveAspectRatio', 'xMidYMid meet')
+        .attr('role', 'group')
+      for (const panel of ['adapt-timeline', 'adapt-lags', 'adapt-ratings']) {
+        const g = svg.append('g').attr('class', `adapt-panel ${panel}`)
+        g.append('text').attr('class', 'adapt-panel-title').attr('y', -8)
+        g.append('g').attr('class', 'x-axis').attr('aria-hidden', 'true')
+        g.append('g').attr('class', 'y-axis').attr('aria-hidden', 'true')
+        g.append('g').attr('class', 'marks')
+      }
+    }
+
+    svg.attr('height', height).attr('viewBox', `0 0 ${width} ${height}`)
+    const t = svg.transition().duration(duration)
+    const tooltip = tooltipRef.current
+
+    // Timeline on the left, the lag histogram and rating comparison share
+    // the rest.
+    const gap = 24
+    const axisSpace = 36
+    const innerHeight = Math.max(0, height - MARGIN.top - MARGIN.bottom)
+    const timelineWidth = Math.max(0, Math.round(width * 0.46) - LABEL_WIDTH)
+    const sideWidth = Math.max(0, (width - LABEL_WIDTH - timelineWidth - 2 * (gap + axisSpace) - MARGIN.right) / 2)
+    const origins = [
+      LABEL_WIDTH,
+      LABEL_WIDTH + timelineWidth + gap + axisSpace,
+      LABEL_WIDTH + timelineWidth + 2 * (gap + axisSpace) + sideWidth,
+    ]
+
+    // Dumbbells from publication to film for the current page.
+    const tl = svg.select('g.adapt-timeline').attr('transform', `translate(${origins[0]},${MARGIN.top})`)
+    const sortLabel = ADAPTATION_SORT_OPTIONS.find((o) => o.value === sortBy)?.label.toLowerCase()
+    tl.select('text.adapt-panel-title')
+      .attr('x', -LABEL_WIDTH)
+      .text(`Book to film (${pageRange}, ${sortLabel} first)`)
+
+    const x = d3
+      .scaleLinear()
+      .domain(d3.extent(pageRows.flatMap((d) => [d.year, d.movieYear])))
+      .nice()
+      .range([0, timelineWidth])
+    const y = d3
+      .scaleBand()
+      .domain(pageRows.map((d) => d.id))
+      .range([0, pageRows.length * ROW_HEIGHT])
+      .padding(0.2)
+    const cy = (d) => (y(d.id) ?? 0) + y.bandwidth() / 2
+
+    tl.select('g.x-axis')
+      .attr('transform', `translate(0,${innerHeight})`)
+      .transition(t)
+      .call(d3.axisBottom(x).ticks(Math.max(2, Math.floor(timelineWidth / 70)), 'd'))
+
+    const isBook = (d) => !!selectedBook && d.row === selectedBook
+    const timelineContent = (d) => {
+      const card = bookCard(d.row, schema.fields)
+      return { ...card, lines: [...card.lines, `Film ${d.movieYear}, ${d.lag === 1 ? '1 year' : `${d.lag} years`} later`] }
+    }
+    const describeRow = (d) => `${d.title || '(Untitled)'}: published ${d.year}, film ${d.movieYear}, ${d.lag} years later`
+
+    if (!pageRows.some((d) => d.id === focusKeyRef.current)) focusKeyRef.current = pageRows[0].id
+    const rowSel = tl
+      .select('g.marks')
+      .selectAll('g.adapt-row')
+      .data(pageRows, (d) => d.id)
+      .join(
+        (enter) => {
+          const row = enter
+            .append('g')
+            .attr('class', 'adapt-row')
+            .attr('transform', (d) => `translate(0,${cy(d)})`)
+            .style('opacity', 0)
+          row.append('rect').attr('class', 'adapt-row-hit').attr('x', -LABEL_WIDTH)
+          row.append('text').attr('class', 'adapt-row-label').attr('x', -6).attr('dy', '0.32em').attr('text-anchor', 'end')
+          row.append('line').attr('class', 'adapt-stem')
+          row.append('circle').attr('class', 'adapt-book').attr('r', 3).attr('fill', BOOK_COLOR)
+          row.append('circle').attr('class', 'adapt-film').attr('r', 3).attr('fill', FILM_COLOR)
+          return row
+        },
+        (update) => update,
+        (exit) => exit.transition(t).style('opacity', 0).remove(),
+      )
+      .order()
+      .classed('has-book', isBook)
+      .attr('role', 'button')
+      .attr('tabindex', (d) => (d.id === focusKeyRef.current ? 0 : -1))
+      .attr('aria-label', describeRow)
+    rowSel
+      .transition(t)
+      .style('opacity', 1)
+      .attr('transform', (d) => `translate(0,${cy(d)})`)
+    rowSel
+      .select('rect.adapt-row-hit')
+      .attr('y', -ROW_HEIGHT / 2)
+      .attr('width', LABEL_WIDTH + timelineWidth)
+      .attr('height', ROW_HEIGHT)
+    rowSel.select('text.adapt-row-label').text((d) => truncate(d.title || '(Untitled)'))
+    rowSel
+      .select('line.adapt-stem')
+      .transition(t)
+      .attr('x1', (d) => x(d.year))
+      .attr('x2', (d) => x(d.movieYear))
+    rowSel
+      .select('circle.adapt-book')
+      .transition(t)
+      .attr('cx', (d) => x(d.year))
+    rowSel
+      .select('circle.adapt-film')
+      .transition(t)
+      .attr('cx', (d) => x(d.movieYear))
+
+    const rowOf = (id) => rowSel.filter((d) => d.id === id).node()
+    rowSel
+      .on('mouseenter', (event, d) => tooltip.show(event, timelineContent(d)))
+      .on('mousemove', (event) => tooltip.move(event))
+      .on('mouseleave', () => tooltip.hide())
+      .on('click', (event, d) => {
+        selectBook(d.row)
+        tooltip.pin(event, timelineContent(d), d.row)
+      })
+      .on('focus', function (event, d) {
+        focusKeyRef.current = d.id
+        rowSel.attr('tabindex', (r) => (r.id === d.id ? 0 : -1))
+        tooltip.show(anchorOf(this), timelineContent(d))
+      })
+      .on('blur', () => tooltip.hide())
+      .on('keydown', (event, d) => {
+        if (isActivationKey(event.key)) {
+          event.preventDefault()
+          selectBook(d.row)
+          tooltip.pin(anchorOf(event.currentTarget), timelineContent(d), d.row)
+          return
+        }
+        const next = stepIndex(event.key, pageRows.indexOf(d), pageRows.length)
+        if (next === null) return
+        event.preventDefault()
+        rowOf(pageRows[next].id)?.focus()
+      })
+
+    // Histogram of years between publication and film.
+    const lg = svg.select('g.adapt-lags').attr('transform', `translate(${origins[1]},${MARGIN.top})`)
+    const medianLag = d3.median(split.timeline, (d) => d.lag)
+    lg.select('text.adapt-panel-title').text(`Years until the film (median ${medianLag})`)
+    lg.attr('role', 'img').attr(
+      'aria-label',
+      `Histogram of years between publication and film for ${split.timeline.length} books: ` +
+        lags.map((b) => `${lagLabel(b)} years, ${b.count}`).join('; '),
+    )
+    const lx = d3
+      .scaleBand()
+      .domain(lags.map(lagLabel))
+      .range([0, sideWidth])
+      .padding(0.12)
+    const ly = d3
+      .scaleLinear()
+      .domain([0, d3.max(lags, (b) => b.count) ?? 1])
+      .nice()
+      .range([innerHeight, 0])
+    const everyOther = lags.length > 8
+    lg.select('g.x-axis')
+      .attr('transform', `translate(0,${innerHeight})`)
+      .transition(t)
+      .call(
+        d3
+          .axisBottom(lx)
+          .tickValues(lx.domain().filter((_, i) => !everyOther || i % 2 === 0))
+          .tickSizeOuter(0),
+      )
+    lg.select('g.y-axis').transition(t).call(d3.axisLeft(ly).ticks(4, '~s').tickSizeOuter(0))
+    lg.select('g.marks')
+      .selectAll('rect.adapt-lag')
+      .data(lags, (b) => b.x0)
+      .join(
+        (enter) => enter.append('rect').attr('class', 'adapt-lag').attr('y', innerHeight).attr('height', 0),
+        (update) => update,
+        (exit) => exit.transition(t).attr('y', innerHeight).attr('height', 0).remove(),
+      )
+      .attr('x', (b) => lx(lagLabel(b)))
+      .attr('width', lx.bandwidth())
+      .on('mouseenter', (event, b) => tooltip.show(event, { title: `${lagLabel(b)} years`, lines: [`Books: ${b.count}`] }))
+      .on('mousemove', (event) => tooltip.move(event))
+      .on('mouseleave', () => tooltip.hide())
+      .transition(t)
+      .attr('y', (b) => ly(b.count))
+      .attr('height', (b) => innerHeight - ly(b.count))
+
+    // Rating bands as a share of each group, side by side, with the medians.
+    const rg = svg.select('g.adapt-ratings').attr('transform', `translate(${origins[2]},${MARGIN.top})`)
+    const groups = [
+      { key: 'adapted', label: 'Adapted', color: FILM_COLOR },
+      { key: 'other', label: 'Not adapted', color: OTHER_COLOR },
+    ].filter((grp) => ratings.stats[grp.key]?.n > 0)
+    rg.select('text.adapt-panel-title').text('Rating, share of each group')
+    rg.attr('role', 'img').attr(
+      'aria-label',
+      'Ratings of adapted and other books. ' +
+        groups.map((grp) => `${grp.label}: ${ratings.stats[grp.key].n} books, median ${formatRating(ratings.stats[grp.key].median)}`).join('. '),
+    )
+    const bands = ratings.bands
+    const rx = d3
+      .scaleLinear()
+      .domain(bands.length > 0 ? [bands[0].x0, bands[bands.length - 1].x1] : [0, 5])
+      .range([0, sideWidth])
+    const ry = d3
+      .scaleLinear()
+      .domain([0, d3.max(bands, (b) => d3.max(groups, (grp) => b.shares[grp.key])) ?? 1])
+      .nice()
+      .range([innerHeight, 0])
+    rg.select('g.x-axis')
+      .attr('transform', `translate(0,${innerHeight})`)
+      .transition(t)
+      .call(d3.axisBottom(rx).ticks(Math.max(2, Math.floor(sideWidth / 50))).tickSizeOuter(0))
+    rg.select('g.y-axis').transition(t).call(d3.axisLeft(ry).ticks(4, '.0%').tickSizeOuter(0))
+
+    const slot = bands.length > 0 ? (rx(bands[0].x1) - rx(bands[0].x0)) / Math.max(1, groups.length) : 0
+    const bars = bands.flatMap((b) => groups.map((grp, i) => ({ band: b, group: grp, i, share: b.shares[grp.key] })))
+    rg.select('g.marks')
+      .selectAll('rect.adapt-rating')
+      .data(bars, (d) => `${d.group.key}|${d.band.x0}`)
+      .join(
+        (enter) => enter.append('rect').attr('class', 'adapt-rating').attr('y', innerHeight).attr('height', 0),
+        (update) => update,
+        (exit) => exit.transition(t).attr('y', innerHeight).attr('height', 0).remove(),
+      )
+      .attr('x', (d) => rx(d.band.x0) + d.i * slot + 0.5)
+      .attr('width', Math.max(0, slot - 1))
+      .attr('fill', (d) => d.group.color)
+      .on('mouseenter', (event, d) =>
+        tooltip.show(event, {
+          title: `${d.group.label}, rated ${formatRating(d.band.x0)}–${formatRating(d.band.x1)}`,
+          lines: [`${formatShare(d.share)} of ${ratings.stats[d.group.key].n} books`],
+        }),
+      )
+      .on('mousemove', (event) => tooltip.move(event))
+      .on('mouseleave', () => tooltip.hide())
+      .transition(t)
+      .attr('y', (d) => ry(d.share))
+      .attr('height', (d) => innerHeight - ry(d.share))
+    rg.select('g.marks')
+      .selectAll('line.adapt-median')
+      .data(groups, (grp) => grp.key)
+      .join('line')
+      .attr('class', 'adapt-median')
+      .attr('stroke', (grp) => grp.color)
+      .attr('y1', 0)
+      .attr('y2', innerHeight)
+      .raise()
+      .transition(t)
+      .attr('x1', (grp) => rx(ratings.stats[grp.key].median))
+      .attr('x2', (grp) => rx(ratings.stats[grp.key].median))
+
+    return () => {
+      svg.interrupt()
+    }
+  }, [timeline, pageRows, pageRange, lags, ratings, split, sortBy, width, height, schema, selectedBook, selectBook, duration])
+
+  const hasColumns = !!(adaptedKey || movieYearKey)
+  const stats = ratings.stats
+
+  return (
+    <div className="chart-card">
+      <div className="chart-header">
+        <div className="chart-title">Book-to-Film Adaptations</div>
+        <div className="chart-actions">
+          <ClearSelectionButton />
+          <TableToggle showTable={showTable} onChange={setShowTable} />
+          <ExportMenu containerRef={containerRef} filename="adaptations" getData={exportRows} />
+        </div>
+      </div>
+      <div className="chart-subtitle adapt-legend">
+        <span>
+          <span className="adapt-swatch" style={{ background: BOOK_COLOR }} /> Published
+        </span>
+        <span>
+          <span className="adapt-swatch" style={{ background: FILM_COLOR }} /> Film, adapted
+          {stats.adapted && ` (${stats.adapted.n}, median rating ${formatMedian(stats.adapted)})`}
+        </span>
+        {stats.other && (
+          <span>
+            <span className="adapt-swatch" style={{ background: OTHER_COLOR }} /> Not adapted ({stats.other.n}, median rating{' '}
+            {formatMedian(stats.other)})
+          </span>
+        )}
+      </div>
+      <div className="chart-controls">
+        <ControlSelect
+          label="Show"
+          value={sortBy}
+          onChange={(v) => {
+            setPage(0)
+            setOption('adaptation', 'sortBy', v)
+          }}
+          options={ADAPTATION_SORT_OPTIONS}
+        />
+        {pageCount > 1 && (
+          <div className="adapt-pager">
+            <Button size="small" disabled={current === 0} onClick={() => setPage(current - 1)}>
+              Previous
+            </Button>
+            <span>{pageRange}</span>
+            <Button size="small" disabled={current >= pageCount - 1} onClick={() => setPage(current + 1)}>
+              Next
+            </Button>
+          </div>
+        )}
+      </div>
+      <div className="chart-wrapper">
+        <div ref={containerRef} className="chart-root" />
+        {showTable && <ChartTable caption="Adapted books with publication and film years" rows={exportRows()} />}
+        {rows.length > 0 && !hasColumns && <div className="chart-message">No film adaptation columns in this dataset.</div>}
+        {hasColumns && timeline.length === 0 && <div className="chart-message">No dated adaptations match the current filters.</div>}
+      </div>
+    </div>
+  )
+}
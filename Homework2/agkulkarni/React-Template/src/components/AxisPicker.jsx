@@ -0,0 +1,68 @@
+import Button from '@mui/material/Button'
+import { useView } from '../stores/ViewContext.jsx'
+import { VIEW_ACTIONS } from '../stores/viewReducer.js'
+import { CAT_ORDER_OPTIONS } from '../config/viewOptions.js'
+import { columnLabel } from '../utils/bookFields.js'
+import ControlSelect from './ControlSelect.jsx'
+
+const KIND_LABELS = { number: 'number', boolean: 'yes/no', category: 'category' }
+
+export default function AxisPicker({ axes, axisInfo }) {
+  const { view, dispatch, setOption } = useView()
+  const setOrder = (order) => dispatch({ type: VIEW_ACTIONS.SET_AXIS_ORDER, order })
+
+  const remove = (dim) => dispatch({ type: VIEW_ACTIONS.REMOVE_AXIS, dim, order: axes })
+
+  const move = (i, step) => {
+    const order = [...axes]
+    ;[order[i], order[i + step]] = [order[i + step], order[i]]
+    setOrder(order)
+  }
+
+  const available = Array.from(axisInfo.values())
+    .filter((a) => !axes.includes(a.key))
+    .map((a) => ({ value: a.key, label: `${columnLabel(a.key)} (${KIND_LABELS[a.kind]})` }))
+
+  return (
+    <div className="chart-controls axis-picker">
+      <ul className="axis-picker-list" aria-label="Axes">
+        {axes.map((dim, i) => (
+          <li key={dim} className="axis-picker-chip">
+            <button type="button" disabled={i === 0} onClick={() => move(i, -1)} aria-label={`Move ${columnLabel(dim)} left`}>
+              ‹
+            </button>
+            <span>{columnLabel(dim)}</span>
+            <button
+              type="button"
+              disabled={i === axes.length - 1}
+              onClick={() => move(i, 1)}
+              aria-label={`Move ${columnLabel(dim)} right`}
+            >
+              ›
+            </button>
+            <button
+              type="button"
+              disabled={axes.length <= 2}
+              onClick={() => remove(dim)}
+              aria-label={`Remove ${columnLabel(dim)} axis`}
+            >
+              ×
+            </button>
+          </li>
+        ))}
+      </ul>
+      {available.length > 0 && (
+        <ControlSelect label="Add axis" value="" onChange={(dim) => setOrder([...axes, dim])} options={available} />
+      )}
+      <ControlSelect
+        label="Categories"
+        value={view.pc.catOrder}
+        onChange={(v) => setOption('pc', 'catOrder', v)}
+        options={CAT_ORDER_OPTIONS}
+      />
+      <Button size="small" disabled={view.pc.order.length === 0} onClick={() => setOrder([])} title="Go back to the automatically chosen axes">
+        Auto axes
+      </Button>
+    </div>
+  )
+}
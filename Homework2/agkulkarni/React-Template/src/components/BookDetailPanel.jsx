@@ -0,0 +1,69 @@
+import { useEffect } from 'react'
+import Button from '@mui/material/Button'
+import { useDataset } from '../stores/DatasetContext.jsx'
+import { useSelection } from '../stores/SelectionContext.jsx'
+import { columnLabel, splitGenres } from '../utils/bookFields.js'
+
+const LIST_FIELDS = new Set(['tags', 'awards'])
+
+function DetailValue({ field, value }) {
+  if (value == null || value === '') return <span className="book-panel-empty">—</span>
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No'
+  if (LIST_FIELDS.has(field.toLowerCase())) {
+    return (
+      <span className="book-panel-tags">
+        {Array.from(new Set(splitGenres(value)), (t) => (
+          <span key={t} className="book-panel-tag">
+            {t}
+          </span>
+        ))}
+      </span>
+    )
+  }
+  return String(value)
+}
+
+export default function BookDetailPanel() {
+  const { schema } = useDataset()
+  const { selectedBook, selectBook } = useSelection()
+
+  useEffect(() => {
+    if (!selectedBook) return
+    const onKey = (event) => {
+      if (event.key === 'Escape') selectBook(null)
+    }
+    window.addEventListener('keydown', onKey)
+    return () => window.removeEventListener('keydown', onKey)
+  }, [selectedBook, selectBook])
+
+  if (!selectedBook) return null
+
+  const { title: titleKey, genre: genreKey, year: yearKey, rating: ratingKey } = schema.fields
+  const summary = [
+    genreKey && selectedBook[genreKey],
+    yearKey && selectedBook[yearKey],
+    ratingKey && selectedBook[ratingKey] != null && `★ ${selectedBook[ratingKey]}`,
+  ].filter(Boolean)
+
+  return (
+    <aside className="book-panel" aria-label="Book details">
+      <div className="book-panel-header">
+        <div className="book-panel-title">{titleKey ? String(selectedBook[titleKey] ?? '(Untitled)') : '(Untitled)'}</div>
+        <Button size="small" onClick={() => selectBook(null)} title="Close (Esc)">
+          Close
+        </Button>
+      </div>
+      {summary.length > 0 && <div className="book-panel-summary">{summary.join(' · ')}</div>}
+      <dl className="book-panel-fields">
+        {schema.details.map((field) => (
+          <div key={field} className="book-panel-field">
+            <dt>{columnLabel(field)}</dt>
+            <dd>
+              <DetailValue field={field} value={selectedBook[field]} />
+            </dd>
+          </div>
+        ))}
+      </dl>
+    </aside>
+  )
+}
@@ -0,0 +1,105 @@
+import { useMemo, useState } from 'react'
+import * as d3 from 'd3'
+import Button from '@mui/material/Button'
+import { isActivationKey } from '../utils/a11y.js'
+
+const PAGE_SIZE = 10
+
+const COLUMNS = [
+  { field: 'title', label: 'Title' },
+  { field: 'author', label: 'Author' },
+  { field: 'year', label: 'Year', numeric: true },
+  { field: 'rating', label: 'Rating', numeric: true },
+  { field: 'genre', label: 'Genre' },
+  { field: 'pages', label: 'Pages', numeric: true },
+]
+
+// The books behind one heatmap cell, sortable by any column and paged.
+// fields maps each column to its dataset key (see schema.fields).
+export default function CellBookTable({ caption, books, fields, selectedBook, onSelect, actions }) {
+  const [sort, setSort] = useState({ field: 'rating', descending: true })
+  const [page, setPage] = useState(0)
+
+  const columns = COLUMNS.filter((c) => fields[c.field])
+  const sorted = useMemo(() => {
+    const key = fields[sort.field]
+    const compare = sort.descending ? d3.descending : d3.ascending
+    const missingLast = (v) => (v == null || v === '' ? null : v)
+    return [...books].sort((a, b) => {
+      const va = missingLast(a[key])
+      const vb = missingLast(b[key])
+      if (va === null || vb === null) return va === vb ? 0 : va === null ? 1 : -1
+      return compare(va, vb)
+    })
+  }, [books, fields, sort])
+
+  const pageCount = Math.max(1, Math.ceil(sorted.length / PAGE_SIZE))
+  const current = Math.min(page, pageCount - 1)
+  const visible = sorted.slice(current * PAGE_SIZE, (current + 1) * PAGE_SIZE)
+
+  const sortBy = (field) => {
+    setSort((prev) => ({ field, descending: prev.field === field ? !prev.descending : COLUMNS.find((c) => c.field === field).numeric }))
+    setPage(0)
+  }
+
+  return (
+    <div className="chart-table cell-books">
+      <div className="cell-books-header">
+        <span className="cell-books-caption">{caption}</span>
+        {actions}
+      </div>
+      <table>
+        <thead>
+          <tr>
+            {columns.map((c) => (
+              <th
+                key={c.field}
+                scope="col"
+                aria-sort={sort.field === c.field ? (sort.descending ? 'descending' : 'ascending') : 'none'}
+              >
+                <button type="button" className="cell-books-sort" onClick={() => sortBy(c.field)}>
+                  {c.label}
+                  {sort.field === c.field && (sort.descending ? ' ▾' : ' ▴')}
+                </button>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {visible.map((book, i) => (
+            <tr
+              key={`${current}-${i}`}
+              className={book === selectedBook ? 'is-selected' : undefined}
+              tabIndex={0}
+              onClick={() => onSelect(book)}
+              onKeyDown={(event) => {
+                if (!isActivationKey(event.key)) return
+                event.preventDefault()
+                onSelect(book)
+              }}
+            >
+              {columns.map((c) => (
+                <td key={c.field} className={c.numeric ? 'is-numeric' : undefined}>
+                  {String(book[fields[c.field]] ?? '')}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {pageCount > 1 && (
+        <div className="cell-books-pager">
+          <Button size="small" disabled={current === 0} onClick={() => setPage(current - 1)}>
+            Previous
+          </Button>
+          <span>
+            {current * PAGE_SIZE + 1}–{Math.min(sorted.length, (current + 1) * PAGE_SIZE)} of {sorted.length}
+          </span>
+          <Button size="small" disabled={current >= pageCount - 1} onClick={() => setPage(current + 1)}>
+            Next
+          </Button>
+        </div>
+      )}
+    </div>
+  )
+}
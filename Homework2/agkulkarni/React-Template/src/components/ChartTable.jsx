@@ -0,0 +1,62 @@
+import { useState } from 'react'
+import Button from '@mui/material/Button'
+import { columnLabel } from '../utils/bookFields.js'
+
+const PAGE_SIZE = 25
+
+const formatCell = (v) => (typeof v === 'number' && !Number.isInteger(v) ? v.toFixed(3).replace(/\.?0+$/, '') : String(v ?? ''))
+
+export default function ChartTable({ caption, rows }) {
+  const [page, setPage] = useState(0)
+  const columns = rows.length > 0 ? Object.keys(rows[0]) : []
+
+  // Paged the same way as CellBookTable, so a table of every book stays cheap.
+  const pageCount = Math.max(1, Math.ceil(rows.length / PAGE_SIZE))
+  const current = Math.min(page, pageCount - 1)
+  const visible = rows.slice(current * PAGE_SIZE, (current + 1) * PAGE_SIZE)
+
+  return (
+    <div className="chart-table">
+      {rows.length === 0 ? (
+        <div className="chart-table-empty">No data to show.</div>
+      ) : (
+        <table>
+          <caption>{caption}</caption>
+          <thead>
+            <tr>
+              {columns.map((c) => (
+                <th key={c} scope="col">
+                  {columnLabel(c)}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {visible.map((row, i) => (
+              <tr key={`${current}-${i}`}>
+                {columns.map((c) => (
+                  <td key={c} className={typeof row[c] === 'number' ? 'is-numeric' : undefined}>
+                    {formatCell(row[c])}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {pageCount > 1 && (
+        <div className="chart-table-pager">
+          <Button size="small" disabled={current === 0} onClick={() => setPage(current - 1)}>
+            Previous
+          </Button>
+          <span>
+            {current * PAGE_SIZE + 1}–{Math.min(rows.length, (current + 1) * PAGE_SIZE)} of {rows.length}
+          </span>
+          <Button size="small" disabled={current >= pageCount - 1} onClick={() => setPage(current + 1)}>
+            Next
+          </Button>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,29 @@
+import Button from '@mui/material/Button'
+import { useSelection } from '../stores/SelectionContext.jsx'
+
+function describe(selection, brushedIds) {
+  const parts = []
+  const query = selection.query.trim()
+  if (query) parts.push(`“${query}”`)
+  const facetCount = Object.keys(selection.facets).length
+  if (facetCount > 0) parts.push(`${facetCount} ${facetCount === 1 ? 'facet' : 'facets'}`)
+  if (selection.genres.length === 1) parts.push(selection.genres[0])
+  else if (selection.genres.length > 1) parts.push(`${selection.genres.length} genres`)
+  if (selection.tags.length === 1) parts.push(`#${selection.tags[0]}`)
+  else if (selection.tags.length > 1) parts.push(`${selection.tags.length} tags`)
+  if (selection.countries.length === 1) parts.push(selection.countries[0])
+  else if (selection.countries.length > 1) parts.push(`${selection.countries.length} countries`)
+  if (selection.cell) parts.push(selection.cell.label)
+  if (brushedIds) parts.push(`${brushedIds.length} brushed`)
+  return parts.join(' · ')
+}
+
+export default function ClearSelectionButton() {
+  const { selection, brushedIds, hasSelection, clear } = useSelection()
+  if (!hasSelection) return null
+  return (
+    <Button size="small" variant="outlined" className="clear-selection" onClick={clear} title="Clear selection">
+      Clear: {describe(selection, brushedIds)}
+    </Button>
+  )
+}
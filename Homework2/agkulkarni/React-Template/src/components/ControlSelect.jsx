@@ -0,0 +1,22 @@
+import MenuItem from '@mui/material/MenuItem'
+import TextField from '@mui/material/TextField'
+
+export default function ControlSelect({ label, value, onChange, options, multiple = false, renderValue }) {
+  return (
+    <TextField
+      select
+      size="small"
+      variant="standard"
+      label={label}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      slotProps={multiple ? { select: { multiple: true, renderValue } } : undefined}
+    >
+      {options.map((o) => (
+        <MenuItem key={o.value} value={o.value} dense>
+          {o.label}
+        </MenuItem>
+      ))}
+    </TextField>
+  )
+}
@@ -0,0 +1,307 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import * as d3 from 'd3'
+import { feature } from 'topojson-client'
+import Button from '@mui/material/Button'
+import world from 'world-atlas/countries-110m.json'
+import { useDataset } from '../stores/DatasetContext.jsx'
+import { useSelection } from '../stores/SelectionContext.jsx'
+import { SELECTION_ACTIONS } from '../stores/selectionReducer.js'
+import { useView } from '../stores/ViewContext.jsx'
+import { useExclusionReport } from '../stores/DataQualityContext.jsx'
+import { MEASURE_OPTIONS } from '../config/viewOptions.js'
+import countryAliases from '../config/countryAliases.json'
+import { imputeNumber } from '../utils/missing.js'
+import { aggregateCountries, resolveCountry } from '../utils/transforms.js'
+import { anchorOf, isActivationKey, stepIndex } from '../utils/a11y.js'
+import { useMotionDuration } from '../utils/motion.js'
+import { useTooltip } from '../utils/tooltip.js'
+import ClearSelectionButton from './ClearSelectionButton.jsx'
+import ExportMenu from './ExportMenu.jsx'
+import ControlSelect from './ControlSelect.jsx'
+import ChartTable from './ChartTable.jsx'
+import TableToggle from './TableToggle.jsx'
+
+// The bundled 1:110m world outlines; Antarctica only takes up room.
+const COUNTRIES = feature(world, world.objects.countries).features.filter((f) => f.properties.name !== 'Antarctica')
+const ON_MAP = new Set(COUNTRIES.map((f) => f.properties.name))
+
+const EMPTY_FILL = '#eceff3'
+const MAX_ZOOM = 8
+const LEGEND_HEIGHT = 34
+
+const formatCount = d3.format(',')
+const formatRating = d3.format('.2f')
+const isIdentity = (transform) => transform.k === 1 && transform.x === 0 && transform.y === 0
+
+export default function CountryMap({ height = 320 }) {
+  const containerRef = useRef(null)
+  const focusKeyRef = useRef(null)
+  const zoomRef = useRef(d3.zoomIdentity)
+  const resetZoomRef = useRef(null)
+  const tooltipRef = useTooltip()
+
+  const { rows, schema } = useDataset()
+  const { selection, dispatch, crossFiltered, selectedBook } = useSelection()
+  const mapRows = crossFiltered.countries
+  const { view, setOption } = useView()
+  const { measure } = view.map
+  const [width, setWidth] = useState(0)
+  const [zoomed, setZoomed] = useState(false)
+  const [showTable, setShowTable] = useState(false)
+  const duration = useMotionDuration()
+  const countryKey = schema.fields.country
+  const ratingKey = schema.fields.rating
+
+  useEffect(() => {
+    if (!containerRef.current) return
+    const el = containerRef.current
+    const ro = new ResizeObserver((entries) => {
+      const next = Math.floor(entries[0].contentRect.width)
+      setWidth(next)
+    })
+    ro.observe(el)
+    setWidth(Math.floor(el.getBoundingClientRect().width))
+    return () => ro.disconnect()
+  }, [])
+
+  const missingMode = view.missing.mode
+  const fillRating = useMemo(() => imputeNumber(rows, ratingKey, missingMode), [rows, ratingKey, missingMode])
+
+  const countries = useMemo(
+    () => aggregateCountries(mapRows, countryKey, { aliases: countryAliases, ratingKey, fillRating }),
+    [mapRows, countryKey, ratingKey, fillRating],
+  )
+  const byCountry = useMemo(() => new Map(countries.map((d) => [d.country, d])), [countries])
+
+  // Books without a country, or with one too small for (or missing from) the
+  // map, cannot be shaded.
+  const offMap = useMemo(() => countries.filter((d) => !ON_MAP.has(d.country)), [countries])
+  const placed = d3.sum(countries, (d) => (ON_MAP.has(d.country) ? d.count : 0))
+  useExclusionReport('map', {
+    label: 'Country map',
+    total: countryKey ? mapRows.length : 0,
+    excluded: countryKey ? mapRows.length - placed : 0,
+    reason: offMap.length > 0 ? `no country, or one not on the map (${offMap.map((d) => d.country).join(', ')})` : 'no country',
+  })
+
+  const exportRows = () =>
+    countries.map((d) => ({
+      country: d.country,
+      books: d.count,
+      avg_rating: d.avgRating ?? '',
+      on_map: ON_MAP.has(d.country),
+      selected: selection.countries.includes(d.country),
+    }))
+
+  useEffect(() => {
+    const container = containerRef.current
+    if (!container) return
+    if (countries.length === 0 || width <= 0) {
+      d3.select(container).selectAll('*').remove()
+      return
+    }
+
+    let svg = d3.select(container).select('svg')
+    if (svg.empty()) {
+      svg = d3
+        .select(container)
+        .append('svg')
+        .attr('width', '100%')
+        .attr('preserveAspectRatio', 'xMidYMid meet')
+        .attr('role', 'group')
+      const defs = svg.append('defs')
+      defs.append('clipPath').attr('id', 'mapClip').append('rect')
+      defs.append('linearGradient').attr('id', 'mapLegendGradient').attr('x1', '0%').attr('x2', '100%').attr('y1', '0%').attr('y2', '0%')
+      svg.append('rect').attr('class', 'map-background')
+      svg.append('g').attr('clip-path', 'url(#mapClip)').append('g').attr('class', 'map-countries')
+      const legend = svg.append('g').attr('class', 'map-legend')
+      legend
+        .append('rect')
+        .attr('class', 'legend-bar')
+        .attr('height', 8)
+        .attr('fill', 'url(#mapLegendGradient)')
+        .attr('stroke', 'rgba(0,0,0,0.18)')
+        .attr('rx', 2)
+      legend.append('g').attr('class', 'legend-axis').attr('transform', 'translate(0,8)')
+      legend.append('text').attr('class', 'legend-label').attr('y', -5).attr('text-anchor', 'start')
+    }
+
+    const mapHeight = Math.max(0, height - LEGEND_HEIGHT)
+    svg.attr('height', height).attr('viewBox', `0 0 ${width} ${height}`)
+    svg.select('#mapClip rect').attr('width', width).attr('height', mapHeight)
+    svg.select('rect.map-background').attr('width', width).attr('height', mapHeight)
+
+    const t = svg.transition().duration(duration)
+    const tooltip = tooltipRef.current
+
+    const projection = d3.geoNaturalEarth1().fitSize([width, mapHeight], { type: 'FeatureCollection', features: COUNTRIES })
+    const path = d3.geoPath(projection)
+
+    const valueOf = (d) => (measure === 'rating' ? d.avgRating : d.count)
+    const values = countries.filter((d) => ON_MAP.has(d.country) && valueOf(d) !== null).map(valueOf)
+    const [lo, hi] = values.length > 0 ? d3.extent(values) : [1, 2]
+    // Counts are heavily skewed toward a few countries, so they use a log scale.
+    const color =
+      measure === 'rating'
+        ? d3.scaleSequential(d3.interpolateYlGnBu).domain(lo === hi ? [lo - 0.5, hi + 0.5] : [lo, hi])
+        : d3.scaleSequentialLog(d3.interpolateBlues).domain([1, Math.max(2, hi ?? 2)])
+    const fillOf = (f) => {
+      const d = byCountry.get(f.properties.name)
+      const v = d ? valueOf(d) : null
+      return v === null || v === undefined ? EMPTY_FILL : color(v)
+    }
+
+    const selectedCountries = new Set(selection.countries)
+    const bookCountry = selectedBook && countryKey ? resolveCountry(selectedBook[countryKey], countryAliases) : null
+
+    const tooltipContent = (f) => {
+      const d = byCountry.get(f.properties.name)
+      return {
+        title: f.properties.name,
+        lines: d
+          ? [`Books: ${formatCount(d.count)}`, `Avg rating: ${d.avgRating === null ? 'n/a' : formatRating(d.avgRating)}`]
+          : ['No books'],
+      }
+    }
+    const describeCountry = (f) => {
+      const d = byCountry.get(f.properties.name)
+      return d
+        ? `${f.properties.name}: ${formatCount(d.count)} books${d.avgRating === null ? '' : `, average rating ${formatRating(d.avgRating)}`}`
+        : `${f.properties.name}: no books`
+    }
+
+    const toggleCountry = (f) => {
+      if (byCountry.has(f.properties.name)) dispatch({ type: SELECTION_ACTIONS.TOGGLE_COUNTRY, country: f.properties.name })
+    }
+
+    const g = svg.select('g.map-countries')
+    const shapes = g
+      .selectAll('path.map-country')
+      .data(COUNTRIES, (f) => f.properties.name)
+      .join('path')
+      .attr('class', 'map-country')
+      .attr('d', path)
+      .classed('has-books', (f) => byCountry.has(f.properties.name))
+      .classed('is-selected', (f) => selectedCountries.has(f.properties.name))
+      .classed('is-dimmed', (f) => selectedCountries.size > 0 && !selectedCountries.has(f.properties.name))
+      .classed('has-book', (f) => f.properties.name === bookCountry)
+    shapes.transition(t).attr('fill', fillOf)
+    // Selected countries are raised so their outline is not hidden by neighbors.
+    shapes.filter((f) => selectedCountries.has(f.properties.name) || f.properties.name === bookCountry).raise()
+
+    // Only countries with books take focus, largest first.
+    const focusable = countries.filter((d) => ON_MAP.has(d.country)).map((d) => d.country)
+    if (!focusable.includes(focusKeyRef.current)) focusKeyRef.current = focusable[0] ?? null
+    const shapeOf = (name) => shapes.filter((f) => f.properties.name === name).node()
+
+    shapes
+      .attr('role', (f) => (byCountry.has(f.properties.name) ? 'button' : null))
+      .attr('tabindex', (f) => (!byCountry.has(f.properties.name) ? null : f.properties.name === focusKeyRef.current ? 0 : -1))
+      .attr('aria-pressed', (f) => (byCountry.has(f.properties.name) ? selectedCountries.has(f.properties.name) : null))
+      .attr('aria-label', (f) => (byCountry.has(f.properties.name) ? describeCountry(f) : null))
+      .on('mouseenter', (event, f) => tooltip.show(event, tooltipContent(f)))
+      .on('mousemove', (event) => tooltip.move(event))
+      .on('mouseleave', () => tooltip.hide())
+      .on('click', (event, f) => {
+        if (!byCountry.has(f.properties.name)) return
+        toggleCountry(f)
+        tooltip.pin(event, tooltipContent(f), f.properties.name)
+      })
+      .on('focus', function (event, f) {
+        focusKeyRef.current = f.properties.name
+        shapes.filter((s) => byCountry.has(s.properties.name)).attr('tabindex', (s) => (s.properties.name === f.properties.name ? 0 : -1))
+        tooltip.show(anchorOf(this), tooltipContent(f))
+      })
+      .on('blur', () => tooltip.hide())
+      .on('keydown', (event, f) => {
+        if (isActivationKey(event.key)) {
+          event.preventDefault()
+          toggleCountry(f)
+          tooltip.pin(anchorOf(event.currentTarget), tooltipContent(f), f.properties.name)
+          return
+        }
+        const next = stepIndex(event.key, focusable.indexOf(f.properties.name), focusable.length)
+        if (next === null) return
+        event.preventDefault()
+        shapeOf(focusable[next])?.focus()
+      })
+
+    // Wheel or drag to zoom and pan; the view is kept across redraws.
+    const zoom = d3
+      .zoom()
+      .scaleExtent([1, MAX_ZOOM])
+      .extent([
+        [0, 0],
+        [width, mapHeight],
+      ])
+      .translateExtent([
+        [0, 0],
+        [width, mapHeight],
+      ])
+      .on('zoom', (event) => {
+        zoomRef.current = event.transform
+        g.attr('transform', event.transform)
+        tooltip.hide()
+        setZoomed(!isIdentity(event.transform))
+      })
+    svg.call(zoom).on('dblclick.zoom', null).property('__zoom', zoomRef.current)
+    g.attr('transform', zoomRef.current)
+    setZoomed(!isIdentity(zoomRef.current))
+    resetZoomRef.current = () => svg.transition().duration(duration).call(zoom.transform, d3.zoomIdentity)
+
+    svg.attr(
+      'aria-label',
+      `World map of ${measure === 'rating' ? 'average rating' : 'book counts'} by country. ` +
+        'Use the arrow keys to move between countries from most to fewest books and Enter to filter by one.',
+    )
+
+    const legendWidth = Math.min(220, width - 24)
+    const legend = svg.select('g.map-legend').attr('transform', `translate(12,${mapHeight + 12})`)
+    svg
+      .select('#mapLegendGradient')
+      .selectAll('stop')
+      .data(d3.range(0, 1.0001, 1 / 18))
+      .join('stop')
+      .attr('offset', (p) => `${p * 100}%`)
+      .attr('stop-color', (p) => color.interpolator()(p))
+    legend.select('rect.legend-bar').attr('width', legendWidth)
+    const legendScale = (measure === 'rating' ? d3.scaleLinear() : d3.scaleLog()).domain(color.domain()).range([0, legendWidth])
+    legend
+      .select('g.legend-axis')
+      .transition(t)
+      .call(d3.axisBottom(legendScale).ticks(4, measure === 'rating' ? '.1f' : '~s').tickSizeOuter(0))
+    legend.select('text.legend-label').text(measure === 'rating' ? 'Average Rating' : 'Number of Books (log)')
+
+    return () => {
+      svg.interrupt()
+    }
+  }, [countries, byCountry, measure, width, height, countryKey, selection.countries, selectedBook, dispatch, duration])
+
+  return (
+    <div className="chart-card">
+      <div className="chart-header">
+        <div className="chart-title">Most Popular Country</div>
+        <div className="chart-actions">
+          <ClearSelectionButton />
+          {zoomed && (
+            <Button size="small" onClick={() => resetZoomRef.current?.()}>
+              Reset zoom
+            </Button>
+          )}
+          <TableToggle showTable={showTable} onChange={setShowTable} />
+          <ExportMenu containerRef={containerRef} filename="country-map" getData={exportRows} />
+        </div>
+      </div>
+      <div className="chart-subtitle">Where each book is most popular. Scroll or drag to zoom, click a country to filter.</div>
+      <div className="chart-controls">
+        <ControlSelect label="Shade by" value={measure} onChange={(v) => setOption('map', 'measure', v)} options={MEASURE_OPTIONS} />
+      </div>
+      <div className="chart-wrapper">
+        <div ref={containerRef} className="chart-root" />
+        {showTable && <ChartTable caption="Books by most popular country" rows={exportRows()} />}
+        {rows.length > 0 && !countryKey && <div className="chart-message">No country column in this dataset.</div>}
+        {countryKey && countries.length === 0 && <div className="chart-message">No books with a country match the current filters.</div>}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,70 @@
+import { useMemo } from 'react'
+import { useDataset } from '../stores/DatasetContext.jsx'
+import { useDataQuality } from '../stores/DataQualityContext.jsx'
+import { useView } from '../stores/ViewContext.jsx'
+import { MISSING_OPTIONS } from '../config/viewOptions.js'
+import { columnLabel } from '../utils/bookFields.js'
+import { columnQuality } from '../utils/missing.js'
+import ControlSelect from './ControlSelect.jsx'
+
+const CHART_ORDER = ['bar', 'heatmap', 'pc', 'scatter', 'network', 'map', 'adaptation']
+
+export default function DataQualityPanel() {
+  const { status, rows, columns } = useDataset()
+  const { exclusions } = useDataQuality()
+  const { view, setOption } = useView()
+
+  const quality = useMemo(() => columnQuality(rows, columns), [rows, columns])
+  if (status !== 'ready') return null
+
+  const incomplete = quality.filter((c) => c.missing > 0 || c.invalid > 0)
+  const excludedRows = CHART_ORDER.reduce((sum, chart) => sum + (exclusions[chart]?.excluded ?? 0), 0)
+
+  return (
+    <details className="data-quality">
+      <summary>
+        Data quality: {incomplete.length === 0 ? 'no missing values' : `${incomplete.length} of ${columns.length} columns have gaps`}
+        {excludedRows > 0 && ', some books are left out of the charts'}
+      </summary>
+      <div className="chart-controls data-quality-controls">
+        <ControlSelect
+          label="Missing values"
+          value={view.missing.mode}
+          onChange={(v) => setOption('missing', 'mode', v)}
+          options={MISSING_OPTIONS}
+        />
+      </div>
+      <ul className="data-quality-charts">
+        {CHART_ORDER.filter((chart) => exclusions[chart]).map((chart) => {
+          const { label, total, excluded, reason } = exclusions[chart]
+          return (
+            <li key={chart}>
+              {label}: {excluded === 0 ? `all ${total.toLocaleString()} books shown` : `${excluded.toLocaleString()} of ${total.toLocaleString()} books excluded (${reason})`}
+            </li>
+          )
+        })}
+      </ul>
+      <table className="data-quality-table">
+        <caption className="sr-only">Missing and invalid values per column</caption>
+        <thead>
+          <tr>
+            <th scope="col">Column</th>
+            <th scope="col">Type</th>
+            <th scope="col">Missing</th>
+            <th scope="col">Invalid</th>
+          </tr>
+        </thead>
+        <tbody>
+          {quality.map((c) => (
+            <tr key={c.key} className={c.missing > 0 || c.invalid > 0 ? 'has-gaps' : undefined}>
+              <th scope="row">{columnLabel(c.key)}</th>
+              <td>{c.type}</td>
+              <td>{c.missing > 0 ? `${c.missing.toLocaleString()} (${Math.round((c.missing / rows.length) * 100)}%)` : '—'}</td>
+              <td>{c.invalid > 0 ? c.invalid.toLocaleString() : '—'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </details>
+  )
+}
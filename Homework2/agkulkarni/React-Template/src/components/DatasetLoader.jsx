@@ -0,0 +1,96 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import Button from '@mui/material/Button'
+import { useDataset } from '../stores/DatasetContext.jsx'
+import { detectFormat } from '../utils/dataset.js'
+
+const ACCEPT = '.csv,.tsv,.tab,.json,text/csv,text/tab-separated-values,application/json'
+
+function hasFiles(event) {
+  return Array.from(event.dataTransfer?.types ?? []).includes('Files')
+}
+
+export default function DatasetLoader() {
+  const { source, status, rows, loadFile, loadBundled } = useDataset()
+  const inputRef = useRef(null)
+  const [dragging, setDragging] = useState(false)
+  const [rejected, setRejected] = useState(null)
+
+  const accept = useCallback(
+    (file) => {
+      if (!file) return
+      if (!detectFormat(file.name, file.type)) {
+        setRejected(`${file.name} is not a CSV, TSV or JSON file.`)
+        return
+      }
+      setRejected(null)
+      loadFile(file)
+    },
+    [loadFile],
+  )
+
+  useEffect(() => {
+    let depth = 0
+    const onEnter = (event) => {
+      if (!hasFiles(event)) return
+      event.preventDefault()
+      depth += 1
+      setDragging(true)
+    }
+    const onOver = (event) => {
+      if (hasFiles(event)) event.preventDefault()
+    }
+    const onLeave = (event) => {
+      if (!hasFiles(event)) return
+      depth = Math.max(0, depth - 1)
+      if (depth === 0) setDragging(false)
+    }
+    const onDrop = (event) => {
+      if (!hasFiles(event)) return
+      event.preventDefault()
+      depth = 0
+      setDragging(false)
+      accept(event.dataTransfer.files[0])
+    }
+
+    window.addEventListener('dragenter', onEnter)
+    window.addEventListener('dragover', onOver)
+    window.addEventListener('dragleave', onLeave)
+    window.addEventListener('drop', onDrop)
+    return () => {
+      window.removeEventListener('dragenter', onEnter)
+      window.removeEventListener('dragover', onOver)
+      window.removeEventListener('dragleave', onLeave)
+      window.removeEventListener('drop', onDrop)
+    }
+  }, [accept])
+
+  return (
+    <div className="dataset-loader">
+      <span className="dataset-source">
+        Dataset: <strong>{source.name}</strong>
+        {status === 'ready' && ` · ${rows.length} rows`}
+      </span>
+      <Button size="small" variant="outlined" onClick={() => inputRef.current?.click()}>
+        Load file…
+      </Button>
+      {source.kind === 'file' && (
+        <Button size="small" onClick={loadBundled}>
+          Use bundled dataset
+        </Button>
+      )}
+      <span className="dataset-hint">or drop a CSV, TSV or JSON file anywhere</span>
+      {rejected && <span className="dataset-status-error">{rejected}</span>}
+      <input
+        ref={inputRef}
+        type="file"
+        accept={ACCEPT}
+        hidden
+        onChange={(event) => {
+          accept(event.target.files?.[0])
+          event.target.value = ''
+        }}
+      />
+      {dragging && <div className="drop-overlay">Drop a CSV, TSV or JSON file to load it</div>}
+    </div>
+  )
+}
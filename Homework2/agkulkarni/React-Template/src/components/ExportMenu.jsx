@@ -0,0 +1,40 @@
+import { useState } from 'react'
+import Button from '@mui/material/Button'
+import Menu from '@mui/material/Menu'
+import MenuItem from '@mui/material/MenuItem'
+import { exportCsv, exportPng, exportSvg } from '../utils/exportChart.js'
+
+const PNG_SCALES = [1, 2, 4]
+
+export default function ExportMenu({ containerRef, filename, getData }) {
+  const [anchor, setAnchor] = useState(null)
+  const close = () => setAnchor(null)
+
+  const run = (fn) => () => {
+    close()
+    Promise.resolve()
+      .then(fn)
+      .catch((err) => console.error(`Export of ${filename} failed:`, err))
+  }
+
+  return (
+    <>
+      <Button size="small" className="export-button" onClick={(e) => setAnchor(e.currentTarget)}>
+        Export
+      </Button>
+      <Menu anchorEl={anchor} open={!!anchor} onClose={close}>
+        <MenuItem dense onClick={run(() => exportSvg(containerRef.current, filename))}>
+          SVG
+        </MenuItem>
+        {PNG_SCALES.map((scale) => (
+          <MenuItem key={scale} dense onClick={run(() => exportPng(containerRef.current, filename, scale))}>
+            PNG {scale}×
+          </MenuItem>
+        ))}
+        <MenuItem dense onClick={run(() => exportCsv(getData(), filename))}>
+          Data (CSV)
+        </MenuItem>
+      </Menu>
+    </>
+  )
+}
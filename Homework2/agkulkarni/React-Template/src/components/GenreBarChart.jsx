@@ -1,64 +1,76 @@
 import { useEffect, useMemo, useRef, useState } from 'react'
 import * as d3 from 'd3'
-
-function normalizeGenreKey(row) {
-  if (!row) return null
-  const keys = Object.keys(row)
-  const key = keys.find((k) => {
-    const lower = k.toLowerCase()
-    return lower === 'genres' || lower === 'genre'
-  })
-  return key ?? null
-}
-
-function aggregateGenres(rows, topN) {
-  if (!rows || rows.length === 0) return []
-
-  const genreKey = normalizeGenreKey(rows[0])
-  if (!genreKey) return []
-
-  const counts = new Map()
-  for (const row of rows) {
-    const raw = row?.[genreKey]
-    if (!raw) continue
-    const parts = String(raw)
-      .split(',')
-      .map((d) => d.trim())
-      .filter(Boolean)
-    for (const g of parts) {
-      counts.set(g, (counts.get(g) ?? 0) + 1)
-    }
-  }
-
-  const out = Array.from(counts, ([genre, count]) => ({ genre, count }))
-  out.sort((a, b) => d3.descending(a.count, b.count))
-  return out.slice(0, topN)
-}
-
-export default function GenreBarChart({ topN = 10, height = 320 }) {
+import { useDataset } from '../stores/DatasetContext.jsx'
+import { useSelection } from '../stores/SelectionContext.jsx'
+import { SELECTION_ACTIONS } from '../stores/selectionReducer.js'
+import { useView } from '../stores/ViewContext.jsx'
+import { useExclusionReport } from '../stores/DataQualityContext.jsx'
+import { CREDIT_OPTIONS, MEASURE_OPTIONS, SORT_OPTIONS, TOP_N_OPTIONS } from '../config/viewOptions.js'
+import { splitGenres } from '../utils/bookFields.js'
+import { MISSING_LABEL, imputeNumber } from '../utils/missing.js'
+import { aggregateGenres, sortGenres } from '../utils/transforms.js'
+import ClearSelectionButton from './ClearSelectionButton.jsx'
+import ExportMenu from './ExportMenu.jsx'
+import ControlSelect from './ControlSelect.jsx'
+import ChartTable from './ChartTable.jsx'
+import TableToggle from './TableToggle.jsx'
+import { anchorOf, isActivationKey, stepIndex } from '../utils/a11y.js'
+import { useMotionDuration } from '../utils/motion.js'
+import { useTooltip } from '../utils/tooltip.js'
+
+const formatCount = d3.format(',.3~f')
+const formatRating = d3.format('.2f')
+
+export default function GenreBarChart({ height = 320 }) {
   const containerRef = useRef(null)
-  const tooltipRef = useRef(null)
+  const tooltipRef = useTooltip()
+  const focusKeyRef = useRef(null)
 
-  const [rows, setRows] = useState([])
+  const { rows, schema } = useDataset()
+  const genreKey = schema.fields.genre
+  const ratingKey = schema.fields.rating
   const [width, setWidth] = useState(0)
+  const duration = useMotionDuration()
+
+  const { view, setOption } = useView()
+  const { topN, sortBy, measure, credit } = view.bar
+  const [showTable, setShowTable] = useState(false)
+
+  const { selection, dispatch, crossFiltered, highlighted, selectedBook } = useSelection()
+  const barRows = crossFiltered.genres
+  const missingMode = view.missing.mode
+  const fillRating = useMemo(() => imputeNumber(rows, ratingKey, missingMode), [rows, ratingKey, missingMode])
+
+  // The missing bar always comes last and is not part of the top N.
+  const data = useMemo(() => {
+    const all = aggregateGenres(barRows, genreKey, { credit, ratingKey, showMissing: missingMode === 'show', fillRating })
+    const missing = all.filter((d) => d.genre === MISSING_LABEL)
+    const top = sortGenres(
+      all.filter((d) => d.genre !== MISSING_LABEL),
+      'count',
+    ).slice(0, topN)
+    return [...sortGenres(top, sortBy), ...missing]
+  }, [barRows, genreKey, ratingKey, credit, topN, sortBy, missingMode, fillRating])
+
+  const noGenre = useMemo(
+    () => (genreKey ? barRows.filter((r) => splitGenres(r?.[genreKey]).length === 0).length : 0),
+    [barRows, genreKey],
+  )
+  useExclusionReport('bar', {
+    label: 'Genre bar chart',
+    total: barRows.length,
+    excluded: missingMode === 'show' ? 0 : noGenre,
+    reason: 'no genre',
+  })
 
-  const data = useMemo(() => aggregateGenres(rows, topN), [rows, topN])
-
-  useEffect(() => {
-    let cancelled = false
-    d3.csv('/data/top_1000_most_swapped_books.csv')
-      .then((loaded) => {
-        if (cancelled) return
-        setRows(loaded)
-      })
-      .catch((err) => {
-        console.error('Failed to load CSV:', err)
-      })
+  const highlightCounts = useMemo(() => {
+    if (!highlighted) return null
+    const showMissing = missingMode === 'show'
+    return new Map(aggregateGenres(Array.from(highlighted), genreKey, { credit, showMissing }).map((d) => [d.genre, d.count]))
+  }, [highlighted, genreKey, credit, missingMode])
 
-    return () => {
-      cancelled = true
-    }
-  }, [])
+  const exportRows = () =>
+    data.map((d) => ({ genre: d.genre, count: d.count, avg_rating: d.avgRating ?? '', selected_cell_count: highlightCounts?.get(d.genre) ?? '' }))
 
   useEffect(() => {
     if (!containerRef.current) return
@@ -79,25 +91,48 @@ export default function GenreBarChart({ topN = 10, height = 320 }) {
     const container = containerRef.current
     if (!container) return
 
-    d3.select(container).selectAll('*').remove()
-
-    if (!data || data.length === 0 || width <= 0) return
+    if (!data || data.length === 0 || width <= 0) {
+      d3.select(container).selectAll('*').remove()
+      return
+    }
 
     const margin = { top: 18, right: 16, bottom: 80, left: 70 }
     const innerWidth = Math.max(0, width - margin.left - margin.right)
     const innerHeight = Math.max(0, height - margin.top - margin.bottom)
 
-    const svg = d3
-      .select(container)
-      .append('svg')
-      .attr('width', '100%')
+    let svg = d3.select(container).select('svg')
+    if (svg.empty()) {
+      svg = d3
+        .select(container)
+        .append('svg')
+        .attr('width', '100%')
+        .attr('preserveAspectRatio', 'xMidYMid meet')
+        .attr('role', 'group')
+      const g = svg.append('g').attr('class', 'plot')
+      g.append('g').attr('class', 'x-axis').attr('aria-hidden', 'true')
+      g.append('g').attr('class', 'y-axis').attr('aria-hidden', 'true')
+      g.append('g').attr('class', 'bars')
+      g.append('g').attr('class', 'bar-highlights')
+      svg.append('text').attr('class', 'axis-label x-label').attr('text-anchor', 'middle').text('Genre')
+      svg
+        .append('text')
+        .attr('class', 'axis-label y-label')
+        .attr('transform', 'rotate(-90)')
+        .attr('y', 18)
+        .attr('text-anchor', 'middle')
+    }
+
+    svg
       .attr('height', height)
       .attr('viewBox', `0 0 ${width} ${height}`)
-      .attr('preserveAspectRatio', 'xMidYMid meet')
+      .attr(
+        'aria-label',
+        `Bar chart of the top ${data.length} genres by ${measure === 'rating' ? 'average rating' : 'number of books'}. Use the arrow keys to move between bars and Enter to filter by a genre.`,
+      )
+    const g = svg.select('g.plot').attr('transform', `translate(${margin.left},${margin.top})`)
+    const t = svg.transition().duration(duration)
 
-    const g = svg
-      .append('g')
-      .attr('transform', `translate(${margin.left},${margin.top})`)
+    const valueOf = (d) => (measure === 'rating' ? (d.avgRating ?? 0) : d.count)
 
     const x = d3
       .scaleBand()
@@ -105,7 +140,7 @@ export default function GenreBarChart({ topN = 10, height = 320 }) {
       .range([0, innerWidth])
       .padding(0.2)
 
-    const yMax = d3.max(data, (d) => d.count) ?? 0
+    const yMax = d3.max(data, valueOf) ?? 0
     const y = d3
       .scaleLinear()
       .domain([0, Math.max(1, yMax)])
@@ -115,11 +150,8 @@ export default function GenreBarChart({ topN = 10, height = 320 }) {
     const xAxis = d3.axisBottom(x).tickSizeOuter(0)
     const yAxis = d3.axisLeft(y).ticks(6).tickSizeOuter(0)
 
-    const xAxisG = g
-      .append('g')
-      .attr('transform', `translate(0,${innerHeight})`)
-      .call(xAxis)
-
+    const xAxisG = g.select('g.x-axis').attr('transform', `translate(0,${innerHeight})`)
+    xAxisG.transition(t).call(xAxis)
     xAxisG
       .selectAll('text')
       .attr('text-anchor', 'end')
@@ -127,82 +159,159 @@ export default function GenreBarChart({ topN = 10, height = 320 }) {
       .attr('dx', '-0.6em')
       .attr('dy', '0.25em')
 
-    g.append('g').call(yAxis)
+    g.select('g.y-axis').transition(t).call(yAxis)
 
     svg
-      .append('text')
-      .attr('class', 'axis-label')
+      .select('text.x-label')
       .attr('x', margin.left + innerWidth / 2)
       .attr('y', height - 12)
-      .attr('text-anchor', 'middle')
-      .text('Genre')
 
     svg
-      .append('text')
-      .attr('class', 'axis-label')
-      .attr('transform', 'rotate(-90)')
+      .select('text.y-label')
       .attr('x', -(margin.top + innerHeight / 2))
-      .attr('y', 18)
-      .attr('text-anchor', 'middle')
-      .text('Number of Books')
-
-    const tooltip =
-      tooltipRef.current ??
-      (() => {
-        const div = document.createElement('div')
-        div.className = 'd3-tooltip'
-        div.style.opacity = '0'
-        container.parentElement?.appendChild(div)
-        tooltipRef.current = div
-        return div
-      })()
-
-    const showTooltip = (event, d) => {
-      tooltip.style.opacity = '1'
-      tooltip.innerHTML = `<div><strong>${d.genre}</strong></div><div>Count: ${d.count}</div>`
-      moveTooltip(event)
+      .text(measure === 'rating' ? 'Average Rating' : credit === 'fractional' ? 'Books (fractional)' : 'Number of Books')
+
+    const tooltip = tooltipRef.current
+    const tooltipContent = (d) => ({
+      title: d.genre,
+      lines: [
+        `Count: ${formatCount(d.count)}`,
+        d.avgRating != null && `Avg rating: ${formatRating(d.avgRating)}`,
+        highlightCounts && `In selected cell: ${formatCount(highlightCounts.get(d.genre) ?? 0)}`,
+      ],
+    })
+
+    const describeBar = (d) => {
+      const parts = [`${d.genre}: ${formatCount(d.count)} books`]
+      if (d.avgRating != null) parts.push(`average rating ${formatRating(d.avgRating)}`)
+      if (highlightCounts) parts.push(`${formatCount(highlightCounts.get(d.genre) ?? 0)} in selected cell`)
+      return parts.join(', ')
     }
 
-    const moveTooltip = (event) => {
-      const rect = container.getBoundingClientRect()
-      const xPos = event.clientX - rect.left + 12
-      const yPos = event.clientY - rect.top + 12
-      tooltip.style.left = `${xPos}px`
-      tooltip.style.top = `${yPos}px`
+    const barNode = (genre) =>
+      g
+        .select('g.bars')
+        .selectAll('rect.bar')
+        .filter((b) => b.genre === genre)
+        .node()
+
+    // The missing bar has no genre to filter by.
+    const toggleGenre = (d) => {
+      if (d.genre !== MISSING_LABEL) dispatch({ type: SELECTION_ACTIONS.TOGGLE_GENRE, genre: d.genre })
     }
 
-    const hideTooltip = () => {
-      tooltip.style.opacity = '0'
+    const onKeyDown = (event, d) => {
+      if (isActivationKey(event.key)) {
+        event.preventDefault()
+        toggleGenre(d)
+        tooltip.pin(anchorOf(event.currentTarget), tooltipContent(d), d.genre)
+        return
+      }
+      const next = stepIndex(event.key, data.indexOf(d), data.length)
+      if (next === null) return
+      event.preventDefault()
+      barNode(data[next].genre)?.focus()
     }
 
-    g.selectAll('rect.bar')
+    if (!data.some((d) => d.genre === focusKeyRef.current)) focusKeyRef.current = data[0].genre
+
+    const selectedGenres = new Set(selection.genres)
+    const bookGenres = new Set(selectedBook ? splitGenres(selectedBook[genreKey]) : [])
+    if (selectedBook && bookGenres.size === 0) bookGenres.add(MISSING_LABEL)
+
+    g.select('g.bars')
+      .selectAll('rect.bar')
       .data(data, (d) => d.genre)
-      .join('rect')
-      .attr('class', 'bar')
+      .join(
+        (enter) =>
+          enter
+            .append('rect')
+            .attr('class', 'bar')
+            .attr('x', (d) => x(d.genre) ?? 0)
+            .attr('width', x.bandwidth())
+            .attr('y', innerHeight)
+            .attr('height', 0),
+        (update) => update,
+        (exit) => exit.transition(t).attr('y', innerHeight).attr('height', 0).remove(),
+      )
+      .classed('is-selected', (d) => selectedGenres.has(d.genre))
+      .classed('is-dimmed', (d) => selectedGenres.size > 0 && !selectedGenres.has(d.genre))
+      .classed('has-book', (d) => bookGenres.has(d.genre))
+      .classed('is-missing', (d) => d.genre === MISSING_LABEL)
+      .attr('role', 'button')
+      .attr('tabindex', (d) => (d.genre === focusKeyRef.current ? 0 : -1))
+      .attr('aria-pressed', (d) => selectedGenres.has(d.genre))
+      .attr('aria-label', describeBar)
+      .style('cursor', (d) => (d.genre === MISSING_LABEL ? 'default' : 'pointer'))
+      .on('mouseenter', (event, d) => tooltip.show(event, tooltipContent(d)))
+      .on('mousemove', (event) => tooltip.move(event))
+      .on('mouseleave', () => tooltip.hide())
+      .on('click', (event, d) => {
+        toggleGenre(d)
+        tooltip.pin(event, tooltipContent(d), d.genre)
+      })
+      .on('focus', function (event, d) {
+        focusKeyRef.current = d.genre
+        g.select('g.bars')
+          .selectAll('rect.bar')
+          .attr('tabindex', (b) => (b.genre === d.genre ? 0 : -1))
+        tooltip.show(anchorOf(this), tooltipContent(d))
+      })
+      .on('blur', () => tooltip.hide())
+      .on('keydown', onKeyDown)
+      .transition(t)
       .attr('x', (d) => x(d.genre) ?? 0)
-      .attr('y', (d) => y(d.count))
       .attr('width', x.bandwidth())
-      .attr('height', (d) => innerHeight - y(d.count))
-      .on('mouseenter', (event, d) => showTooltip(event, d))
-      .on('mousemove', (event) => moveTooltip(event))
-      .on('mouseleave', hideTooltip)
-
-    return () => {
-      if (tooltipRef.current) {
-        tooltipRef.current.remove()
-        tooltipRef.current = null
-      }
-    }
-  }, [data, width, height])
+      .attr('y', (d) => y(valueOf(d)))
+      .attr('height', (d) => innerHeight - y(valueOf(d)))
+
+    const inset = x.bandwidth() * 0.2
+    const highlightData = highlightCounts && measure === 'count' ? data.filter((d) => highlightCounts.has(d.genre)) : []
+    g.select('g.bar-highlights')
+      .selectAll('rect.bar-highlight')
+      .data(highlightData, (d) => d.genre)
+      .join(
+        (enter) =>
+          enter
+            .append('rect')
+            .attr('class', 'bar-highlight')
+            .attr('x', (d) => (x(d.genre) ?? 0) + inset)
+            .attr('y', innerHeight)
+            .attr('height', 0)
+            .style('pointer-events', 'none'),
+        (update) => update,
+        (exit) => exit.transition(t).attr('y', innerHeight).attr('height', 0).remove(),
+      )
+      .transition(t)
+      .attr('x', (d) => (x(d.genre) ?? 0) + inset)
+      .attr('width', Math.max(0, x.bandwidth() - inset * 2))
+      .attr('y', (d) => y(highlightCounts.get(d.genre)))
+      .attr('height', (d) => innerHeight - y(highlightCounts.get(d.genre)))
+  }, [data, width, height, measure, credit, selection.genres, highlightCounts, selectedBook, genreKey, dispatch, duration])
 
   return (
     <div className="chart-card">
-      <div className="chart-title">Overview: Top Genres by Swapped Book Count</div>
+      <div className="chart-header">
+        <div className="chart-title">Overview: Top Genres by Swapped Book Count</div>
+        <div className="chart-actions">
+          <ClearSelectionButton />
+          <TableToggle showTable={showTable} onChange={setShowTable} />
+          <ExportMenu containerRef={containerRef} filename="genre-bar-chart" getData={exportRows} />
+        </div>
+      </div>
       <div className="chart-subtitle">Shows which book genres appear most frequently among popular book exchanges.</div>
+      <div className="chart-controls">
+        <ControlSelect label="Top N" value={topN} onChange={(v) => setOption('bar', 'topN', Number(v))} options={TOP_N_OPTIONS} />
+        <ControlSelect label="Sort" value={sortBy} onChange={(v) => setOption('bar', 'sortBy', v)} options={SORT_OPTIONS} />
+        <ControlSelect label="Show" value={measure} onChange={(v) => setOption('bar', 'measure', v)} options={MEASURE_OPTIONS} />
+        <ControlSelect label="Multi-genre" value={credit} onChange={(v) => setOption('bar', 'credit', v)} options={CREDIT_OPTIONS} />
+      </div>
       <div className="chart-wrapper">
         <div ref={containerRef} className="chart-root" />
+        {showTable && <ChartTable caption="Top genres" rows={exportRows()} />}
+        {rows.length > 0 && !genreKey && <div className="chart-message">No usable genre column in this dataset.</div>}
+        {rows.length > 0 && genreKey && data.length === 0 && <div className="chart-message">No books match the current search.</div>}
       </div>
     </div>
   )
 }
-
@@ -0,0 +1,24 @@
+export default function GroupLegend({ title, groups, counts, hidden, onToggle }) {
+  return (
+    <div className="group-legend" role="group" aria-label={title}>
+      <span className="group-legend-title">{title}</span>
+      {groups.map((g) => {
+        const shown = !hidden.includes(g.key)
+        return (
+          <button
+            key={g.key}
+            type="button"
+            className="group-legend-item"
+            aria-pressed={shown}
+            title={shown ? `Hide ${g.label}` : `Show ${g.label}`}
+            onClick={() => onToggle(g.key)}
+          >
+            <span className="group-legend-swatch" style={{ background: shown ? g.color : 'transparent', borderColor: g.color }} />
+            {g.label}
+            <span className="group-legend-count">{(counts.get(g.key) ?? 0).toLocaleString()}</span>
+          </button>
+        )
+      })}
+    </div>
+  )
+}
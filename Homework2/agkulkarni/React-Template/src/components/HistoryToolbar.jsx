@@ -0,0 +1,35 @@
+import { useEffect } from 'react'
+import Button from '@mui/material/Button'
+import { useDashboard } from '../stores/DashboardContext.jsx'
+
+function isEditable(target) {
+  return !!target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))
+}
+
+export default function HistoryToolbar() {
+  const { canUndo, canRedo, undo, redo } = useDashboard()
+
+  useEffect(() => {
+    const onKey = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey || isEditable(event.target)) return
+      const key = event.key.toLowerCase()
+      if (key === 'z' && !event.shiftKey) undo()
+      else if ((key === 'z' && event.shiftKey) || key === 'y') redo()
+      else return
+      event.preventDefault()
+    }
+    window.addEventListener('keydown', onKey)
+    return () => window.removeEventListener('keydown', onKey)
+  }, [undo, redo])
+
+  return (
+    <div className="history-toolbar">
+      <Button size="small" variant="outlined" onClick={undo} disabled={!canUndo} title="Undo (Ctrl+Z)">
+        Undo
+      </Button>
+      <Button size="small" variant="outlined" onClick={redo} disabled={!canRedo} title="Redo (Ctrl+Shift+Z)">
+        Redo
+      </Button>
+    </div>
+  )
+}
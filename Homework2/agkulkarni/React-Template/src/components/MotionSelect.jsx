@@ -0,0 +1,14 @@
+import { useView } from '../stores/ViewContext.jsx'
+import { MOTION_OPTIONS } from '../config/viewOptions.js'
+import ControlSelect from './ControlSelect.jsx'
+
+// Chart animations: follow the OS reduced-motion setting, or force them off or on.
+export default function MotionSelect() {
+  const { view, setOption } = useView()
+
+  return (
+    <div className="motion-select">
+      <ControlSelect label="Motion" value={view.motion.mode} onChange={(v) => setOption('motion', 'mode', v)} options={MOTION_OPTIONS} />
+    </div>
+  )
+}
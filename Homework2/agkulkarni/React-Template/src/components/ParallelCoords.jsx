@@ -1,71 +1,62 @@
 import { useEffect, useMemo, useRef, useState } from 'react'
 import * as d3 from 'd3'
-
-function pickKey(row, candidates) {
-  if (!row) return null
-  const keys = Object.keys(row)
-  const lowerToActual = new Map(keys.map((k) => [k.toLowerCase(), k]))
-  for (const c of candidates) {
-    const actual = lowerToActual.get(c)
-    if (actual) return actual
-  }
-  return null
-}
-
-function isFiniteNumber(v) {
-  return typeof v === 'number' && Number.isFinite(v)
-}
-
-function formatLabel(key) {
-  const spaced = String(key)
-    .replace(/_/g, ' ')
-    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
-    .trim()
-  return spaced
-    .split(/\s+/)
-    .map((w) => (w.length ? w[0].toUpperCase() + w.slice(1) : w))
-    .join(' ')
-}
-
-function variance(values) {
-  if (!values || values.length < 2) return 0
-  const mean = d3.mean(values) ?? 0
-  const v = d3.mean(values, (d) => (d - mean) * (d - mean)) ?? 0
-  return v
+import { useDataset } from '../stores/DatasetContext.jsx'
+import { useSelection } from '../stores/SelectionContext.jsx'
+import { SELECTION_ACTIONS } from '../stores/selectionReducer.js'
+import { useView } from '../stores/ViewContext.jsx'
+import { VIEW_ACTIONS } from '../stores/viewReducer.js'
+import { buildLineIndex } from '../utils/lineIndex.js'
+import ClearSelectionButton from './ClearSelectionButton.jsx'
+import ExportMenu from './ExportMenu.jsx'
+import ChartTable from './ChartTable.jsx'
+import TableToggle from './TableToggle.jsx'
+import { isActivationKey, stepIndex } from '../utils/a11y.js'
+import { axisValue, describeAxes, inBrush, isCategoryBrush } from '../utils/axes.js'
+import AxisPicker from './AxisPicker.jsx'
+import ControlSelect from './ControlSelect.jsx'
+import GroupLegend from './GroupLegend.jsx'
+import { LINE_MODE_OPTIONS } from '../config/viewOptions.js'
+import { columnLabel } from '../utils/bookFields.js'
+import { buildLineGroups } from '../utils/lineGroups.js'
+import { MISSING_LABEL, imputeNumber, imputes } from '../utils/missing.js'
+import { useExclusionReport } from '../stores/DataQualityContext.jsx'
+import { useMotionDuration } from '../utils/motion.js'
+import { bookCard, useTooltip } from '../utils/tooltip.js'
+import { autoDims, pickDims } from '../utils/transforms.js'
+
+function formatCategory(kind, value) {
+  if (kind === 'boolean') return value === 'true' ? 'Yes' : 'No'
+  return value.length > 14 ? `${value.slice(0, 13)}…` : value
 }
 
-function preferredGroups() {
-  return [
-    ['publication_year', 'publicationyear', 'published_year', 'original_publication_year', 'year', 'publicationYear'],
-    ['average_rating', 'rating_average', 'avg_rating', 'rating'],
-    ['page_count', 'pagecount', 'pages', 'pageCount'],
-    ['ratings_count', 'rating_count', 'num_ratings', 'ratingsCount'],
-    ['swap_count', 'swapcount', 'exchange_count', 'exchangecount', 'swaps', 'exchangeCount', 'swapCount'],
-    ['popularity_score', 'popularityscore', 'popularity', 'score'],
-  ]
+// fills holds the imputed value per axis; __missing counts the original gaps.
+function makeRecord(r, dims, kinds, titleKey, fills) {
+  const rec = { raw: r, title: titleKey ? String(r?.[titleKey] ?? '') : '' }
+  let missing = 0
+  for (const d of dims) {
+    const v = axisValue(r, d, kinds.get(d))
+    if (v === null) missing += 1
+    rec[d] = v ?? fills.get(d) ?? null
+  }
+  rec.__missing = missing
+  return rec
 }
 
-export default function ParallelCoords({ maxDims = 6, minDims = 4, height = 420, maxLines = 550 }) {
+export default function ParallelCoords({ maxDims = 6, minDims = 4, height = 420 }) {
   const containerRef = useRef(null)
-  const tooltipRef = useRef(null)
-
-  const [rows, setRows] = useState([])
+  const tooltipRef = useTooltip()
+  const liveRef = useRef(null)
+  const focusKeyRef = useRef(null)
+  const focusedBookRef = useRef(null)
+  const layoutRef = useRef(null)
+
+  const { rows, columns, schema } = useDataset()
+  const { selection, dispatch, filteredRows, highlighted, lassoed, selectedBook, selectBook } = useSelection()
   const [width, setWidth] = useState(0)
-
-  useEffect(() => {
-    let cancelled = false
-    d3.csv('/data/top_1000_most_swapped_books.csv', d3.autoType)
-      .then((loaded) => {
-        if (cancelled) return
-        setRows(loaded)
-      })
-      .catch((err) => {
-        console.error('Failed to load CSV:', err)
-      })
-    return () => {
-      cancelled = true
-    }
-  }, [])
+  const duration = useMotionDuration()
+  const { view, dispatch: viewDispatch, setOption } = useView()
+  const { order: axisOrder, flipped, catOrder, colorBy, hidden, lineMode } = view.pc
+  const [showTable, setShowTable] = useState(false)
 
   useEffect(() => {
     if (!containerRef.current) return
@@ -79,215 +70,729 @@ export default function ParallelCoords({ maxDims = 6, minDims = 4, height = 420,
     return () => ro.disconnect()
   }, [])
 
-  const prepared = useMemo(() => {
-    if (!rows || rows.length === 0) return { dims: [], data: [], titleKey: null }
-    const row0 = rows[0]
-    const titleKey = pickKey(row0, ['title', 'book_title', 'name'])
-    const keys = Object.keys(row0)
-    const total = rows.length
-
-    const excluded = new Set(['id', 'isbn'])
-    const numericCandidates = keys
-      .filter((k) => !excluded.has(k.toLowerCase()))
-      .filter((k) => {
-        for (const r of rows) {
-          const v = r?.[k]
-          if (isFiniteNumber(v)) return true
-        }
-        return false
-      })
-
-    const stats = numericCandidates
-      .map((k) => {
-        const values = rows.map((r) => r?.[k]).filter(isFiniteNumber)
-        const validCount = values.length
-        return { key: k, values, validCount, missingRatio: 1 - validCount / total, var: variance(values) }
-      })
-      .filter((d) => d.validCount > 0)
-      .filter((d) => d.missingRatio <= 0.4)
-
-    const keySet = new Set(stats.map((d) => d.key))
-    const preferred = []
-    for (const group of preferredGroups()) {
-      for (const alias of group) {
-        const actual = Array.from(keySet).find((k) => k.toLowerCase() === alias.toLowerCase())
-        if (actual) {
-          preferred.push(actual)
-          break
-        }
-      }
-    }
-
-    const byVar = [...stats].sort((a, b) => d3.descending(a.var, b.var)).map((d) => d.key)
-    const combined = []
-    for (const k of preferred) if (!combined.includes(k)) combined.push(k)
-    for (const k of byVar) if (!combined.includes(k)) combined.push(k)
-
-    const maxPick = Math.max(1, Math.min(maxDims, combined.length))
-    let dims = combined.slice(0, maxPick)
-
-    if (dims.length > maxDims) dims = dims.slice(0, maxDims)
-    if (dims.length < minDims) dims = combined.slice(0, Math.min(minDims, combined.length))
-
-    const dimSet = new Set(dims)
-    let data = rows
-      .map((r) => {
-        const rec = { raw: r, title: titleKey ? String(r?.[titleKey] ?? '') : '' }
-        let missing = 0
-        for (const d of dims) {
-          const v = r?.[d]
-          if (!isFiniteNumber(v)) missing += 1
-          rec[d] = isFiniteNumber(v) ? v : null
-        }
-        rec.__missing = missing
-        return rec
-      })
-      .filter((r) => r.__missing <= Math.floor(dims.length / 2))
-
-    if (Number.isFinite(maxLines) && maxLines > 0 && data.length > maxLines) {
-      data = data.slice(0, maxLines)
+  const axisInfo = useMemo(() => {
+    const excluded = new Set([...schema.exclude, schema.fields.title].filter(Boolean))
+    return describeAxes(rows, columns, excluded)
+  }, [rows, columns, schema])
+
+  const autoAxes = useMemo(() => {
+    if (!rows || rows.length === 0) return []
+    const ranked = schema.numeric.length > 0 ? schema.numeric : autoDims(rows, new Set(schema.exclude))
+    return pickDims(ranked, { minDims, maxDims }).filter((d) => axisInfo.has(d))
+  }, [rows, schema, axisInfo, maxDims, minDims])
+
+  // An explicit axis list (from the picker, a drag or the URL) replaces the
+  // automatic variance-based pick once it names at least two usable columns.
+  const chosenAxes = useMemo(() => axisOrder.filter((d) => axisInfo.has(d)), [axisOrder, axisInfo])
+  const dims = chosenAxes.length >= 2 ? chosenAxes : autoAxes
+
+  const missingMode = view.missing.mode
+  const fills = useMemo(() => {
+    const out = new Map()
+    if (!imputes(missingMode)) return out
+    for (const d of dims) {
+      const info = axisInfo.get(d)
+      out.set(d, info.kind === 'number' ? imputeNumber(rows, d, missingMode) : info.categories[0])
     }
+    return out
+  }, [rows, dims, axisInfo, missingMode])
 
-    return { dims: Array.from(dimSet), data, titleKey }
-  }, [rows, maxDims, minDims, maxLines])
+  // Only the exclude mode drops rows; imputing fills the gaps and showing
+  // missing values plots them in a bucket under each axis.
+  const prepared = useMemo(() => {
+    const titleKey = schema.fields.title
+    const kinds = new Map(dims.map((d) => [d, axisInfo.get(d).kind]))
+    const data = filteredRows
+      .map((r) => makeRecord(r, dims, kinds, titleKey, fills))
+      .filter((r) => missingMode !== 'exclude' || r.__missing <= Math.floor(dims.length / 2))
+    return { data, kinds, titleKey }
+  }, [schema, filteredRows, dims, axisInfo, fills, missingMode])
+
+  useExclusionReport('pc', {
+    label: 'Parallel coordinates',
+    total: filteredRows.length,
+    excluded: filteredRows.length - prepared.data.length,
+    reason: 'missing more than half of the plotted axes',
+  })
+
+  const genreKey = schema.fields.genre
+  const colorOptions = useMemo(() => {
+    const options = [{ value: '', label: 'None' }]
+    if (genreKey) options.push({ value: genreKey, label: `${columnLabel(genreKey)} (first)` })
+    for (const a of axisInfo.values()) if (a.key !== genreKey) options.push({ value: a.key, label: columnLabel(a.key) })
+    return options
+  }, [axisInfo, genreKey])
+  const colorKey = colorOptions.some((o) => o.value === colorBy) ? colorBy : ''
+
+  const grouping = useMemo(
+    () => buildLineGroups(rows, colorKey, { kind: axisInfo.get(colorKey)?.kind, genreKey }),
+    [rows, colorKey, axisInfo, genreKey],
+  )
+  const groupCounts = useMemo(
+    () => (grouping ? d3.rollup(prepared.data, (v) => v.length, (d) => grouping.groupOf(d.raw)) : new Map()),
+    [grouping, prepared.data],
+  )
+  const shown = useMemo(() => {
+    if (!grouping || hidden.length === 0) return prepared.data
+    const hiddenSet = new Set(hidden)
+    return prepared.data.filter((d) => !hiddenSet.has(grouping.groupOf(d.raw)))
+  }, [grouping, hidden, prepared.data])
+  const bundled = !!grouping && lineMode === 'bundled'
+
+  const exportRows = () => {
+    const brushes = Object.entries(selection.brushes)
+    return shown
+      .filter((d) => brushes.every(([dim, brush]) => inBrush(d.raw, dim, brush)))
+      .map((d) => ({ title: d.title, ...Object.fromEntries(dims.map((k) => [k, d[k] ?? ''])) }))
+  }
 
   useEffect(() => {
     const container = containerRef.current
     if (!container) return
-    d3.select(container).selectAll('*').remove()
-    if (!prepared.data || prepared.data.length === 0 || !prepared.dims || prepared.dims.length === 0 || width <= 0)
+    const hadFocus = container.contains(document.activeElement)
+    if (!prepared.data || prepared.data.length === 0 || dims.length === 0 || width <= 0) {
+      d3.select(container).selectAll('*').remove()
+      layoutRef.current = null
       return
+    }
 
     const margin = { top: 30, right: 30, bottom: 40, left: 30 }
     const innerWidth = Math.max(0, width - margin.left - margin.right)
     const innerHeight = Math.max(0, height - margin.top - margin.bottom)
 
-    const dims = prepared.dims
     const x = d3.scalePoint().domain(dims).range([0, innerWidth]).padding(0.6)
-
+    const position = new Map(dims.map((d) => [d, x(d)]))
+    const flippedSet = new Set(flipped)
+    const showMissing = missingMode === 'show'
+    const plotBottom = showMissing ? Math.max(0, innerHeight - 22) : innerHeight
+    const missingY = innerHeight - 4
+    const rangeFor = (dim, flip = flippedSet.has(dim)) => (flip ? [0, plotBottom] : [plotBottom, 0])
+
+    const kindOf = (dim) => prepared.kinds.get(dim)
     const yScales = new Map()
     for (const dim of dims) {
-      const vals = prepared.data.map((d) => d[dim]).filter(isFiniteNumber)
-      const ext = d3.extent(vals)
-      const domain = ext[0] == null || ext[1] == null ? [0, 1] : ext
-      yScales.set(dim, d3.scaleLinear().domain(domain).nice().range([innerHeight, 0]))
+      if (kindOf(dim) === 'number') {
+        const ext = d3.extent(prepared.data, (d) => d[dim])
+        const domain = ext[0] == null || ext[1] == null ? [0, 1] : ext
+        yScales.set(dim, d3.scaleLinear().domain(domain).nice().range(rangeFor(dim)))
+      } else {
+        const { categories } = axisInfo.get(dim)
+        const domain = kindOf(dim) === 'category' && catOrder === 'alpha' ? [...categories].sort(d3.ascending) : categories
+        yScales.set(dim, d3.scalePoint().domain(domain).range(rangeFor(dim)).padding(0.5))
+      }
+    }
+
+    const axisFor = (dim) => {
+      const scale = yScales.get(dim)
+      if (kindOf(dim) === 'number') return d3.axisLeft(scale).ticks(5).tickSizeOuter(0)
+      const domain = scale.domain()
+      const every = Math.max(1, Math.ceil(domain.length / Math.max(1, Math.floor(innerHeight / 12))))
+      return d3
+        .axisLeft(scale)
+        .tickValues(domain.filter((c, i) => i % every === 0))
+        .tickFormat((c) => formatCategory(kindOf(dim), c))
+        .tickSizeOuter(0)
     }
 
+    // Canvas and svg are built once and updated in place, so axis changes
+    // can move the axes and morph the lines instead of redrawing from scratch.
+    if (d3.select(container).select('svg').empty()) {
+      d3.select(container).append('canvas').attr('class', 'pc-canvas')
+      const skeleton = d3
+        .select(container)
+        .append('svg')
+        .attr('width', '100%')
+        .attr('preserveAspectRatio', 'xMidYMid meet')
+        .attr('role', 'group')
+        .attr('tabindex', 0)
+        .attr('data-focus-key', 'lines')
+        .append('g')
+        .attr('class', 'plot')
+      skeleton.append('g').attr('class', 'pc-summaries').style('pointer-events', 'none')
+      skeleton.append('path').attr('class', 'pc-book').attr('fill', 'none').style('pointer-events', 'none')
+      skeleton
+        .append('path')
+        .attr('class', 'pc-hover')
+        .attr('fill', 'none')
+        .attr('stroke', '#1b3a57')
+        .attr('stroke-opacity', 0.8)
+        .attr('stroke-width', 2.4)
+        .style('pointer-events', 'none')
+      skeleton.append('g').attr('class', 'pc-axes')
+    }
+
+    const canvas = d3.select(container).select('canvas.pc-canvas')
+    const ctx = canvas.node().getContext('2d')
+
     const svg = d3
       .select(container)
-      .append('svg')
-      .attr('width', '100%')
+      .select('svg')
       .attr('height', height)
       .attr('viewBox', `0 0 ${width} ${height}`)
-      .attr('preserveAspectRatio', 'xMidYMid meet')
-
-    const g = svg.append('g').attr('transform', `translate(${margin.left},${margin.top})`)
-
-    const tooltip =
-      tooltipRef.current ??
-      (() => {
-        const div = document.createElement('div')
-        div.className = 'd3-tooltip'
-        div.style.opacity = '0'
-        container.parentElement?.appendChild(div)
-        tooltipRef.current = div
-        return div
-      })()
-
-    const moveTooltip = (event) => {
-      const rect = container.getBoundingClientRect()
-      const xPos = event.clientX - rect.left + 12
-      const yPos = event.clientY - rect.top + 12
-      tooltip.style.left = `${xPos}px`
-      tooltip.style.top = `${yPos}px`
+      .attr(
+        'aria-label',
+        `Parallel coordinates of ${shown.length} books across ${dims.map(columnLabel).join(', ')}. ` +
+          'Use the up and down arrow keys to step through books and Enter to open one.',
+      )
+      .on('focusin', (event) => {
+        focusKeyRef.current = event.target.getAttribute?.('data-focus-key') ?? null
+      })
+
+    const g = svg.select('g.plot').attr('transform', `translate(${margin.left},${margin.top})`)
+    const t = svg.transition().duration(duration)
+
+    const tooltip = tooltipRef.current
+
+    const line = d3.line()
+    const sortedDims = () => [...dims].sort((a, b) => position.get(a) - position.get(b))
+    const pointsFor = (d, order = sortedDims()) => {
+      const pts = []
+      for (const p of order) {
+        const y = d[p] === null ? (showMissing ? missingY : undefined) : yScales.get(p)(d[p])
+        if (y === undefined) continue
+        pts.push(position.get(p), y)
+      }
+      return pts
+    }
+
+    const ranges = { ...selection.brushes }
+    const hasBrushes = () => Object.keys(ranges).length > 0
+    const isActive = (d) => (!lassoed || lassoed.has(d.raw)) && Object.entries(ranges).every(([dim, brush]) => inBrush(d.raw, dim, brush))
+    const isHighlighted = (d) => !!highlighted && highlighted.has(d.raw)
+    const baseStroke = (d) => {
+      if (!isActive(d)) return '#c4c9d0'
+      if (isHighlighted(d)) return '#e15759'
+      return grouping ? grouping.colorOf(d.raw) : '#355c7d'
+    }
+    const baseOpacity = (d) => {
+      if (!isActive(d)) return 0.05
+      if (isHighlighted(d)) return 0.7
+      if (highlighted) return 0.03
+      if (hasBrushes()) return 0.3
+      return grouping ? 0.18 : 0.08
     }
 
-    const hideTooltip = () => {
-      tooltip.style.opacity = '0'
+    const fitCanvas = () => {
+      const node = canvas.node()
+      const cw = node.clientWidth || width
+      const ch = node.clientHeight || height
+      const dpr = window.devicePixelRatio || 1
+      node.width = Math.max(1, Math.round(cw * dpr))
+      node.height = Math.max(1, Math.round(ch * dpr))
+      const k = Math.min(cw / width, ch / height)
+      const ox = (cw - width * k) / 2 + margin.left * k
+      const oy = (ch - height * k) / 2 + margin.top * k
+      ctx.setTransform(dpr * k, 0, 0, dpr * k, dpr * ox, dpr * oy)
     }
+    fitCanvas()
+
+    let drawn = []
+    let hittable = []
+    let index = null
+    let frame = null
+    let brushFrame = null
+    let disposed = false
+
+    const drawLines = ({ progressive = false } = {}) => {
+      if (frame !== null) cancelAnimationFrame(frame)
+      frame = null
+      index = null
+      hideHover()
+
+      // In bundled mode only highlighted books keep their own line; every
+      // group is drawn as a summary instead.
+      const buckets = [[], [], []]
+      for (const d of shown) buckets[(isActive(d) ? 1 : 0) + (isHighlighted(d) ? 1 : 0)].push(d)
+      drawn = bundled ? buckets[2] : buckets.flat()
+
+      ctx.save()
+      ctx.setTransform(1, 0, 0, 1, 0, 0)
+      ctx.clearRect(0, 0, canvas.node().width, canvas.node().height)
+      ctx.restore()
+      ctx.lineWidth = 1.25
+
+      const order = sortedDims()
+      let i = 0
+      const chunk = () => {
+        const end = progressive ? Math.min(drawn.length, i + 4000) : drawn.length
+        for (; i < end; i += 1) {
+          const d = drawn[i]
+          const pts = pointsFor(d, order)
+          if (pts.length < 4) continue
+          ctx.strokeStyle = baseStroke(d)
+          ctx.globalAlpha = baseOpacity(d)
+          ctx.beginPath()
+          ctx.moveTo(pts[0], pts[1])
+          for (let j = 2; j < pts.length; j += 2) ctx.lineTo(pts[j], pts[j + 1])
+          ctx.stroke()
+        }
+        frame = i < drawn.length ? requestAnimationFrame(chunk) : null
+      }
+      chunk()
 
-    const ratingKey = pickKey(rows?.[0], ['average_rating', 'rating_average', 'avg_rating', 'rating'])
+      drawSummaries(order)
 
-    const showTooltip = (event, d) => {
-      tooltip.style.opacity = '1'
-      const title = d.title ? d.title : '(Untitled)'
-      const rating = ratingKey && isFiniteNumber(d.raw?.[ratingKey]) ? d.raw[ratingKey] : null
-      tooltip.innerHTML = rating == null ? `<div><strong>${title}</strong></div>` : `<div><strong>${title}</strong></div><div>Rating: ${rating}</div>`
-      moveTooltip(event)
+      const bookPts = selectedBook ? pointsFor(makeRecord(selectedBook, dims, prepared.kinds, null, fills), order) : []
+      bookPath.attr('d', bookPts.length < 4 ? null : line(d3.range(0, bookPts.length, 2).map((j) => [bookPts[j], bookPts[j + 1]])))
     }
 
-    const line = d3.line()
-    const pathFor = (d) =>
-      line(
-        dims
-          .map((p) => {
-            const v = d[p]
-            if (!isFiniteNumber(v)) return null
-            return [x(p), yScales.get(p)(v)]
-          })
-          .filter(Boolean),
-      )
+    const summaryG = g.select('g.pc-summaries')
+
+    // One line per visible group through the mean (numeric axes) or most
+    // common value (categorical axes), over a band from the group's min to max.
+    function drawSummaries(order) {
+      const summaries = []
+      if (bundled) {
+        const members = d3.group(shown.filter(isActive), (d) => grouping.groupOf(d.raw))
+        for (const group of grouping.groups) {
+          const list = members.get(group.key)
+          if (!list) continue
+          const points = []
+          for (const dim of order) {
+            const scale = yScales.get(dim)
+            const values = list.map((d) => d[dim]).filter((v) => v !== null)
+            if (values.length === 0) continue
+            const center = kindOf(dim) === 'number' ? d3.mean(values) : d3.greatest(d3.rollups(values, (v) => v.length, (v) => v), (e) => e[1])[0]
+            const ys = values.map((v) => scale(v))
+            points.push({ x: position.get(dim), y: scale(center), lo: d3.min(ys), hi: d3.max(ys) })
+          }
+          if (points.length >= 2) summaries.push({ group, points })
+        }
+      }
+      const area = d3
+        .area()
+        .x((p) => p.x)
+        .y0((p) => p.lo)
+        .y1((p) => p.hi)
+      const summaryLine = d3
+        .line()
+        .x((p) => p.x)
+        .y((p) => p.y)
+      summaryG
+        .selectAll('g.pc-summary')
+        .data(summaries, (s) => s.group.key)
+        .join((enter) => {
+          const sg = enter.append('g').attr('class', 'pc-summary')
+          sg.append('path').attr('class', 'pc-summary-band')
+          sg.append('path').attr('class', 'pc-summary-line').attr('fill', 'none')
+          return sg
+        })
+        .call((sg) =>
+          sg
+            .select('.pc-summary-band')
+            .attr('fill', (s) => s.group.color)
+            .attr('d', (s) => area(s.points)),
+        )
+        .call((sg) =>
+          sg
+            .select('.pc-summary-line')
+            .attr('stroke', (s) => s.group.color)
+            .attr('d', (s) => summaryLine(s.points)),
+        )
+    }
+
+    const bookPath = g.select('path.pc-book')
+    const hoverPath = g.select('path.pc-hover')
+
+    function hideHover() {
+      hoverPath.attr('d', null)
+      tooltip.hide()
+    }
+
+    const showLine = (d) => {
+      const pts = pointsFor(d)
+      hoverPath.attr('d', line(d3.range(0, pts.length, 2).map((j) => [pts[j], pts[j + 1]])))
+      return pts
+    }
+
+    // Client coordinates of a point in plot space, for anchoring the tooltip.
+    const clientPoint = (px, py) => {
+      const rect = svg.node().getBoundingClientRect()
+      const k = Math.min(rect.width / width, rect.height / height) || 1
+      return {
+        clientX: rect.left + (rect.width - width * k) / 2 + (margin.left + px) * k,
+        clientY: rect.top + (rect.height - height * k) / 2 + (margin.top + py) * k,
+      }
+    }
+
+    const describeLine = (d) =>
+      `${d.title || '(Untitled)'}: ${dims
+        .map((dim) => `${columnLabel(dim)} ${d[dim] === null ? 'missing' : kindOf(dim) === 'boolean' ? formatCategory('boolean', d[dim]) : d[dim]}`)
+        .join(', ')}`
+
+    const focusLine = (d) => {
+      focusedBookRef.current = d.raw
+      const pts = showLine(d)
+      if (pts.length >= 2) tooltip.show(clientPoint(pts[0], pts[1]), bookCard(d.raw, schema.fields))
+      if (liveRef.current) liveRef.current.textContent = describeLine(d)
+    }
 
-    g.append('g')
-      .attr('class', 'pc-lines')
-      .selectAll('path')
-      .data(prepared.data)
-      .join('path')
-      .attr('class', 'pc-line')
-      .attr('d', (d) => pathFor(d))
-      .attr('fill', 'none')
-      .attr('stroke', '#355c7d')
-      .attr('stroke-opacity', 0.08)
-      .attr('stroke-width', 1.25)
-      .style('pointer-events', 'stroke')
-      .on('mouseenter', function (event, d) {
-        d3.select(this).attr('stroke', '#1b3a57').attr('stroke-opacity', 0.8).attr('stroke-width', 2.4)
-        showTooltip(event, d)
+    const keyboardLines = () => shown.filter(isActive).sort((a, b) => d3.ascending(a.title, b.title))
+
+    const hitTest = (event) => {
+      // Greyed-out lines are drawn but cannot be hovered or picked.
+      if (!index) {
+        const order = sortedDims()
+        hittable = drawn.filter(isActive)
+        index = buildLineIndex(hittable.map((d) => pointsFor(d, order)))
+      }
+      const [mx, my] = d3.pointer(event, g.node())
+      const i = index.find(mx, my, 4)
+      return i >= 0 ? hittable[i] : null
+    }
+
+    svg
+      .on('mousemove', (event) => {
+        if (event.buttons) return
+        const d = hitTest(event)
+        svg.style('cursor', d ? 'pointer' : null)
+        if (!d) {
+          hideHover()
+          return
+        }
+        showLine(d)
+        tooltip.show(event, bookCard(d.raw, schema.fields))
       })
-      .on('mousemove', function (event) {
-        moveTooltip(event)
+      .on('mouseleave', hideHover)
+      .on('click', (event) => {
+        const d = hitTest(event)
+        if (!d) return
+        selectBook(d.raw)
+        tooltip.pin(event, bookCard(d.raw, schema.fields), d.raw)
       })
-      .on('mouseleave', function () {
-        d3.select(this).attr('stroke', '#355c7d').attr('stroke-opacity', 0.08).attr('stroke-width', 1.25)
-        hideTooltip()
+      .on('keydown', (event) => {
+        if (event.target !== svg.node()) return
+        const list = keyboardLines()
+        const i = list.findIndex((d) => d.raw === focusedBookRef.current)
+        if (isActivationKey(event.key)) {
+          if (i < 0) return
+          event.preventDefault()
+          selectBook(list[i].raw)
+          const pts = pointsFor(list[i])
+          if (pts.length >= 2) tooltip.pin(clientPoint(pts[0], pts[1]), bookCard(list[i].raw, schema.fields), list[i].raw)
+        } else if (event.key === 'Escape') {
+          focusedBookRef.current = null
+          hideHover()
+        } else {
+          const next = stepIndex(event.key, i, list.length)
+          if (next === null) return
+          event.preventDefault()
+          focusLine(list[i < 0 ? 0 : next])
+        }
       })
+      .on('blur', hideHover)
 
-    const axisG = g.append('g').attr('class', 'pc-axes')
+    const axisG = g.select('g.pc-axes')
 
-    axisG
-      .selectAll('g')
-      .data(dims)
-      .join('g')
-      .attr('transform', (d) => `translate(${x(d)},0)`)
-      .each(function (dim) {
-        const scale = yScales.get(dim)
-        d3.select(this).call(d3.axisLeft(scale).ticks(5).tickSizeOuter(0))
-      })
+    const moveAxis = (dim, step) => {
+      const order = sortedDims()
+      const i = order.indexOf(dim)
+      const j = i + step
+      if (j < 0 || j >= order.length) return
+      ;[order[i], order[j]] = [order[j], order[i]]
+      viewDispatch({ type: VIEW_ACTIONS.SET_AXIS_ORDER, order })
+    }
+
+    const axes = axisG
+      .selectAll('g.pc-axis')
+      .data(dims, (d) => d)
+      .join(
+        (enter) => {
+          const axis = enter
+            .append('g')
+            .attr('class', 'pc-axis')
+            .attr('transform', (d) => `translate(${position.get(d)},0)`)
+            .style('opacity', 0)
+          axis.append('g').attr('class', 'pc-axis-ticks').attr('aria-hidden', 'true')
+          axis
+            .append('text')
+            .attr('class', 'pc-missing-label')
+            .attr('aria-hidden', 'true')
+            .attr('x', -6)
+            .attr('dy', '0.32em')
+            .attr('text-anchor', 'end')
+            .text(MISSING_LABEL)
+          axis.append('g').attr('class', 'pc-brush')
+          axis
+            .append('text')
+            .attr('class', 'pc-axis-label')
+            .attr('x', 0)
+            .attr('text-anchor', 'middle')
+            .attr('role', 'button')
+            .attr('tabindex', 0)
+            .attr('data-focus-key', (d) => `label:${d}`)
+            .text((d) => columnLabel(d))
+          axis
+            .append('text')
+            .attr('class', 'pc-axis-flip')
+            .attr('x', 0)
+            .attr('y', -12)
+            .attr('text-anchor', 'middle')
+            .text('⇅')
+            .attr('role', 'button')
+            .attr('tabindex', 0)
+            .attr('data-focus-key', (d) => `flip:${d}`)
+            .attr('aria-label', (d) => `Flip ${columnLabel(d)} axis`)
+          return axis
+        },
+        (update) => update,
+        (exit) => exit.transition(t).style('opacity', 0).remove(),
+      )
+
+    axes
+      .transition(t)
+      .style('opacity', 1)
+      .attr('transform', (d) => `translate(${position.get(d)},0)`)
+
+    axes.select('g.pc-axis-ticks').each(function (dim) {
+      d3.select(this).transition(t).call(axisFor(dim))
+    })
+
+    axes
+      .select('text.pc-missing-label')
+      .attr('y', missingY)
+      .style('display', showMissing ? null : 'none')
+
+    // Numeric axes brush a value range; categorical axes brush the set of
+    // categories whose tick falls inside the selection.
+    const brushValue = (dim, [y0, y1]) => {
+      const scale = yScales.get(dim)
+      if (kindOf(dim) === 'number') return d3.extent([y0, y1].map((v) => scale.invert(v)))
+      const values = scale.domain().filter((c) => scale(c) >= y0 && scale(c) <= y1)
+      return values.length > 0 ? { values } : null
+    }
+
+    const brushExtent = (dim, brush) => {
+      const scale = yScales.get(dim)
+      if (!isCategoryBrush(brush)) return d3.extent(brush.map((v) => scale(v)))
+      const ys = brush.values.map((c) => scale(c)).filter((y) => y !== undefined)
+      if (ys.length === 0) return null
+      const [lo, hi] = d3.extent(ys)
+      return [Math.max(0, lo - scale.step() / 2), Math.min(innerHeight, hi + scale.step() / 2)]
+    }
 
-    axisG
-      .selectAll('text.pc-axis-label')
-      .data(dims)
-      .join('text')
-      .attr('class', 'pc-axis-label')
-      .attr('x', (d) => x(d))
+    const brushFor = (dim) =>
+      d3
+        .brushY()
+        .extent([
+          [-10, 0],
+          [10, innerHeight],
+        ])
+        .on('brush', (event) => {
+          if (!event.sourceEvent || !event.selection) return
+          const range = brushValue(dim, event.selection)
+          if (range) ranges[dim] = range
+          else delete ranges[dim]
+          // Repaint at most once a frame while dragging; 'end' draws in full.
+          if (brushFrame === null) {
+            brushFrame = requestAnimationFrame(() => {
+              brushFrame = null
+              drawLines({ progressive: true })
+            })
+          }
+        })
+        .on('end', (event) => {
+          if (!event.sourceEvent) return
+          if (brushFrame !== null) cancelAnimationFrame(brushFrame)
+          brushFrame = null
+          const range = event.selection ? brushValue(dim, event.selection) : null
+          if (range) ranges[dim] = range
+          else delete ranges[dim]
+          drawLines()
+          dispatch({ type: SELECTION_ACTIONS.SET_BRUSH, dim, range })
+        })
+
+    axes.select('g.pc-brush').each(function (dim) {
+      const brush = brushFor(dim)
+      const range = selection.brushes[dim] ? brushExtent(dim, selection.brushes[dim]) : null
+      d3.select(this).call(brush).call(brush.move, range)
+    })
+
+    const labels = axes
+      .select('text.pc-axis-label')
       .attr('y', innerHeight + 28)
-      .attr('text-anchor', 'middle')
-      .text((d) => formatLabel(d))
+      .attr('aria-label', (d, i) => `${columnLabel(d)} axis, position ${i + 1} of ${dims.length}. Press left or right to move it.`)
+      .on('keydown', (event, dim) => {
+        if (event.key !== 'ArrowLeft' && event.key !== 'ArrowRight') return
+        event.preventDefault()
+        moveAxis(dim, event.key === 'ArrowLeft' ? -1 : 1)
+      })
 
-    return () => {
-      if (tooltipRef.current) {
-        tooltipRef.current.remove()
-        tooltipRef.current = null
+    axes
+      .select('text.pc-axis-flip')
+      .on('click', (event, dim) => flipAxis(dim))
+      .on('keydown', (event, dim) => {
+        if (!isActivationKey(event.key)) return
+        event.preventDefault()
+        flipAxis(dim)
+      })
+
+    function flipAxis(dim) {
+      const scale = yScales.get(dim)
+      scale.range(rangeFor(dim, !flippedSet.has(dim)))
+      const t = svg.transition().duration(duration)
+      axes
+        .filter((d) => d === dim)
+        .select('g.pc-axis-ticks')
+        .transition(t)
+        .call(axisFor(dim))
+      const fromRange = rangeFor(dim)
+      const toRange = scale.range()
+      t.tween('pc-lines', () => {
+        const interpolate = d3.interpolate(fromRange, toRange)
+        return (tt) => {
+          scale.range(interpolate(tt))
+          drawLines()
+        }
+      })
+      t.end()
+        .catch(() => {})
+        .then(() => {
+          if (!disposed) viewDispatch({ type: VIEW_ACTIONS.TOGGLE_FLIP, dim })
+        })
+    }
+
+    labels.call(
+      d3
+        .drag()
+        .container(g.node())
+        .subject((event, dim) => ({ x: position.get(dim), y: 0 }))
+        .on('start', function () {
+          tooltip.hide()
+          d3.select(this.parentNode).raise().classed('is-dragging', true)
+        })
+        .on('drag', (event, dim) => {
+          position.set(dim, Math.max(0, Math.min(innerWidth, event.x)))
+          const order = sortedDims()
+          order.forEach((d, i) => {
+            if (d !== dim) position.set(d, x(dims[i]))
+          })
+          axes.attr('transform', (d) => `translate(${position.get(d)},0)`)
+          drawLines()
+        })
+        .on('end', function (event, dim) {
+          const order = sortedDims()
+          const from = new Map(position)
+          const to = new Map(order.map((d, i) => [d, x(dims[i])]))
+          d3.select(this.parentNode).classed('is-dragging', false)
+          const t = svg.transition().duration(duration)
+          axes.transition(t).attr('transform', (d) => `translate(${to.get(d)},0)`)
+          t.tween('pc-lines', () => (tt) => {
+            for (const d of dims) position.set(d, d3.interpolateNumber(from.get(d), to.get(d))(tt))
+            drawLines()
+          })
+          t.end()
+            .catch(() => {})
+            .then(() => {
+              if (!disposed && order.some((d, i) => d !== dims[i])) viewDispatch({ type: VIEW_ACTIONS.SET_AXIS_ORDER, order })
+            })
+        }),
+    )
+
+    // Lines morph from the previous layout: axes that stay slide to their new
+    // place and numeric axes ease into their new range and domain. The maps
+    // stored here are the live ones, so drags, flips and interrupted morphs
+    // hand over whatever state they reached.
+    const prev = layoutRef.current
+    layoutRef.current = { width, height, position, yScales, kinds: prepared.kinds }
+    const morphs = []
+    if (prev && prev.width === width && prev.height === height && duration > 0) {
+      for (const dim of dims) {
+        if (!prev.position.has(dim) || prev.kinds.get(dim) !== kindOf(dim)) continue
+        const from = prev.yScales.get(dim)
+        const to = yScales.get(dim)
+        const numeric = kindOf(dim) === 'number'
+        const moved =
+          prev.position.get(dim) !== position.get(dim) ||
+          from.range().some((v, i) => v !== to.range()[i]) ||
+          (numeric && from.domain().some((v, i) => v !== to.domain()[i]))
+        if (!moved) continue
+        morphs.push({
+          dim,
+          x: d3.interpolateNumber(prev.position.get(dim), position.get(dim)),
+          range: d3.interpolate(from.range(), to.range()),
+          domain: numeric ? d3.interpolate(from.domain(), to.domain()) : null,
+        })
       }
     }
-  }, [prepared.data, prepared.dims, width, height, rows])
+
+    if (morphs.length > 0) {
+      const step = (tt) => {
+        for (const m of morphs) {
+          position.set(m.dim, m.x(tt))
+          yScales.get(m.dim).range(m.range(tt))
+          if (m.domain) yScales.get(m.dim).domain(m.domain(tt))
+        }
+        drawLines()
+      }
+      step(0)
+      t.tween('pc-lines', () => step)
+    } else {
+      drawLines({ progressive: true })
+    }
+
+    if (hadFocus && !container.contains(document.activeElement)) {
+      const target = Array.from(container.querySelectorAll('[data-focus-key]')).find(
+        (el) => el.getAttribute('data-focus-key') === focusKeyRef.current,
+      )
+      ;(target ?? svg.node()).focus()
+    }
+
+    return () => {
+      disposed = true
+      if (frame !== null) cancelAnimationFrame(frame)
+      if (brushFrame !== null) cancelAnimationFrame(brushFrame)
+      svg.interrupt()
+    }
+  }, [prepared, fills, missingMode, shown, grouping, bundled, dims, axisInfo, catOrder, flipped, width, height, schema, highlighted, lassoed, selection.brushes, selectedBook, selectBook, dispatch, viewDispatch, duration])
 
   return (
     <div className="chart-card">
-      <div className="chart-title">Multivariate Comparison (Parallel Coordinates)</div>
-      <div className="chart-subtitle">Each line represents a single book, enabling comparison across multiple numerical attributes.</div>
+      <div className="chart-header">
+        <div className="chart-title">Multivariate Comparison (Parallel Coordinates)</div>
+        <div className="chart-actions">
+          <ClearSelectionButton />
+          <TableToggle showTable={showTable} onChange={setShowTable} />
+          <ExportMenu containerRef={containerRef} filename="parallel-coordinates" getData={exportRows} />
+        </div>
+      </div>
+      <div className="chart-subtitle">
+        Each line represents a single book. Click a line for details, brush along an axis to filter, drag a label to reorder, click ⇅ to flip.
+      </div>
+      <AxisPicker axes={dims} axisInfo={axisInfo} />
+      <div className="chart-controls">
+        <ControlSelect
+          label="Color by"
+          value={colorKey}
+          onChange={(column) => viewDispatch({ type: VIEW_ACTIONS.SET_COLOR_BY, column })}
+          options={colorOptions}
+        />
+        {grouping && (
+          <ControlSelect
+            label="Lines"
+            value={lineMode}
+            onChange={(v) => setOption('pc', 'lineMode', v)}
+            options={LINE_MODE_OPTIONS}
+          />
+        )}
+      </div>
+      {grouping && (
+        <GroupLegend
+          title={colorOptions.find((o) => o.value === colorKey).label}
+          groups={grouping.groups}
+          counts={groupCounts}
+          hidden={hidden}
+          onToggle={(group) => viewDispatch({ type: VIEW_ACTIONS.TOGGLE_GROUP, group })}
+        />
+      )}
       <div className="chart-wrapper">
-        <div ref={containerRef} className="chart-root" />
+        <div ref={containerRef} className="chart-root pc-root" />
+        <div ref={liveRef} className="sr-only" aria-live="polite" />
+        {showTable && <ChartTable caption="Books shown in the parallel coordinates" rows={exportRows()} />}
+        {rows.length > 0 && dims.length === 0 && <div className="chart-message">No columns to plot.</div>}
+        {dims.length > 0 && prepared.data.length === 0 && (
+          <div className="chart-message">No books match the current filters.</div>
+        )}
       </div>
     </div>
   )
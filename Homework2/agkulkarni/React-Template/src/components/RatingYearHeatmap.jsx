@@ -1,58 +1,72 @@
 import { useEffect, useMemo, useRef, useState } from 'react'
 import * as d3 from 'd3'
-
-function pickKey(row, candidates) {
-  if (!row) return null
-  const keys = Object.keys(row)
-  const lowerToActual = new Map(keys.map((k) => [k.toLowerCase(), k]))
-  for (const c of candidates) {
-    const actual = lowerToActual.get(c)
-    if (actual) return actual
-  }
-  return null
-}
-
-function toNumber(v) {
-  const n = typeof v === 'number' ? v : Number(v)
-  return Number.isFinite(n) ? n : null
+import Button from '@mui/material/Button'
+import TextField from '@mui/material/TextField'
+import { useDataset } from '../stores/DatasetContext.jsx'
+import { useSelection } from '../stores/SelectionContext.jsx'
+import { SELECTION_ACTIONS } from '../stores/selectionReducer.js'
+import { useView } from '../stores/ViewContext.jsx'
+import { useExclusionReport } from '../stores/DataQualityContext.jsx'
+import {
+  NORMALIZE_OPTIONS,
+  PALETTE_OPTIONS,
+  RATING_BIN_OPTIONS,
+  SCALE_OPTIONS,
+  YEAR_BIN_OPTIONS,
+} from '../config/viewOptions.js'
+import { toNumber } from '../utils/bookFields.js'
+import { MISSING_LABEL } from '../utils/missing.js'
+import { MISSING_BIN, inRange, parseBreakpoints, ratingBinLabel, yearBinLabel } from '../utils/binning.js'
+import { binHeatmap } from '../utils/transforms.js'
+import ClearSelectionButton from './ClearSelectionButton.jsx'
+import ExportMenu from './ExportMenu.jsx'
+import ControlSelect from './ControlSelect.jsx'
+import ChartTable from './ChartTable.jsx'
+import TableToggle from './TableToggle.jsx'
+import CellBookTable from './CellBookTable.jsx'
+import { anchorOf, isActivationKey } from '../utils/a11y.js'
+import { useMotionDuration } from '../utils/motion.js'
+import { useTooltip } from '../utils/tooltip.js'
+
+const PALETTES = {
+  blues: (t) => d3.interpolateBlues(0.25 + 0.75 * t),
+  viridis: (t) => d3.interpolateViridis(1 - t),
+  cividis: (t) => d3.interpolateCividis(1 - t),
+  magma: (t) => d3.interpolateMagma(0.95 - 0.8 * t),
 }
 
-function decadeOf(year) {
-  return Math.floor(year / 10) * 10
-}
-
-function ratingBinOf(rating) {
-  const b = Math.floor(rating / 0.5) * 0.5
-  return Math.round(b * 10) / 10
-}
+const formatPercent = d3.format('.1%')
+const formatCount = d3.format(',d')
 
-function ratingRangeLabel(bin) {
-  const lo = bin.toFixed(1)
-  const hi = (bin + 0.5).toFixed(1)
-  return `${lo}–${hi}`
+function colorScaleFor(mode, interpolate, values) {
+  const positive = values.filter((v) => v > 0)
+  const lo = d3.min(positive) ?? 1
+  const hi = Math.max(lo, d3.max(positive) ?? 1)
+  if (mode === 'quantile' && positive.length > 1) return d3.scaleSequentialQuantile(interpolate).domain(positive)
+  if (mode === 'log') return d3.scaleSequentialLog(interpolate).domain(lo === hi ? [lo, lo * 10] : [lo, hi])
+  return d3.scaleSequential(interpolate).domain(lo === hi ? [0, hi] : [lo, hi])
 }
 
-export default function RatingYearHeatmap({ height = 400, minYear = 1900, maxYear = null }) {
+export default function RatingYearHeatmap({ height = 400 }) {
   const containerRef = useRef(null)
-  const tooltipRef = useRef(null)
+  const tooltipRef = useTooltip()
+  const focusKeyRef = useRef(null)
+  const layoutRef = useRef(null)
 
-  const [rows, setRows] = useState([])
+  const { rows, schema } = useDataset()
+  const { year: yearKey, rating: ratingKey } = schema.fields
+  const { selection, dispatch, filteredRows, highlighted, heatmapPlacement, selectedBook, selectBook } = useSelection()
   const [width, setWidth] = useState(0)
+  const duration = useMotionDuration()
 
-  useEffect(() => {
-    let cancelled = false
-    d3.csv('/data/top_1000_most_swapped_books.csv', d3.autoType)
-      .then((loaded) => {
-        if (cancelled) return
-        setRows(loaded)
-      })
-      .catch((err) => {
-        console.error('Failed to load CSV:', err)
-      })
-    return () => {
-      cancelled = true
-    }
-  }, [])
+  const { view, setOption } = useView()
+  const [showTable, setShowTable] = useState(false)
+  const [showBooks, setShowBooks] = useState(false)
+  const { yearBin, breakpoints: breakpointText, ratingBin, scaleMode, palette, normalize, zoom } = view.heatmap
+
+  const breakpoints = useMemo(() => parseBreakpoints(breakpointText), [breakpointText])
+  const missingMode = view.missing.mode
+  const { fillYear, fillRating, minYear, maxYear } = heatmapPlacement
 
   useEffect(() => {
     if (!containerRef.current) return
@@ -66,233 +80,424 @@ export default function RatingYearHeatmap({ height = 400, minYear = 1900, maxYea
     return () => ro.disconnect()
   }, [])
 
-  const prepared = useMemo(() => {
-    if (!rows || rows.length === 0) return { data: [], decades: [], ratingBins: [], maxCount: 0 }
-
-    const row0 = rows[0]
-    const titleKey = pickKey(row0, ['title', 'book_title', 'name'])
-    const yearKey = pickKey(row0, [
-      'publication_year',
-      'published_year',
-      'original_publication_year',
-      'year',
-      'publicationyear',
-      'publicationYear',
-    ])
-    const ratingKey = pickKey(row0, ['average_rating', 'avg_rating', 'rating', 'rating_average'])
-
-    if (!yearKey || !ratingKey) return { data: [], decades: [], ratingBins: [], maxCount: 0 }
-
-    const items = rows
-      .map((r) => {
-        const year = toNumber(r?.[yearKey])
-        const rating = toNumber(r?.[ratingKey])
-        if (year === null || rating === null) return null
-        if (typeof minYear === 'number' && Number.isFinite(minYear) && year < minYear) return null
-        if (typeof maxYear === 'number' && Number.isFinite(maxYear) && year > maxYear) return null
-        const dec = decadeOf(year)
-        const bin = ratingBinOf(rating)
-        const title = titleKey ? String(r?.[titleKey] ?? '') : ''
-        return { decade: dec, ratingBin: bin, title }
-      })
-      .filter(Boolean)
-
-    const decades = Array.from(new Set(items.map((d) => d.decade))).sort((a, b) => d3.ascending(a, b))
-    const ratingBins = Array.from(new Set(items.map((d) => d.ratingBin))).sort((a, b) => d3.ascending(a, b))
-
-    const counts = new Map()
-    for (const d of items) {
-      const key = `${d.decade}|${d.ratingBin}`
-      counts.set(key, (counts.get(key) ?? 0) + 1)
-    }
-
-    const data = []
-    let maxCount = 0
-    for (const dec of decades) {
-      for (const bin of ratingBins) {
-        const key = `${dec}|${bin}`
-        const count = counts.get(key) ?? 0
-        if (count > maxCount) maxCount = count
-        data.push({ decade: dec, ratingBin: bin, count })
-      }
-    }
+  const prepared = useMemo(
+    () =>
+      binHeatmap(rows, {
+        yearKey,
+        ratingKey,
+        filtered: filteredRows,
+        yearBin,
+        breakpoints,
+        ratingBin,
+        zoom,
+        minYear,
+        maxYear,
+        showMissing: missingMode === 'show',
+        fillYear,
+        fillRating,
+      }),
+    [rows, filteredRows, yearKey, ratingKey, minYear, maxYear, yearBin, breakpoints, ratingBin, zoom, missingMode, fillYear, fillRating],
+  )
 
-    return { data, decades, ratingBins, maxCount }
-  }, [rows])
+  useExclusionReport('heatmap', {
+    label: 'Rating/year heatmap',
+    total: filteredRows.length,
+    excluded: prepared.excluded,
+    reason: missingMode === 'exclude' ? 'missing year or rating, or year outside the plotted range' : 'year outside the plotted range',
+  })
+
+  const exportRows = () =>
+    prepared.data.map((d) => ({
+      year_start: d.yearBin[0] ?? MISSING_LABEL,
+      year_end: d.yearBin[1] ?? MISSING_LABEL,
+      rating_start: d.ratingBin[0] ?? MISSING_LABEL,
+      rating_end: d.ratingBin[1] ?? MISSING_LABEL,
+      count: d.count,
+      share_of_year_bin: d.yearShare,
+      share_of_rating_band: d.ratingShare,
+    }))
 
   useEffect(() => {
     const container = containerRef.current
     if (!container) return
-    d3.select(container).selectAll('*').remove()
-    if (!prepared.data || prepared.data.length === 0 || width <= 0) return
+    if (!prepared.data || prepared.data.length === 0 || width <= 0) {
+      d3.select(container).selectAll('*').remove()
+      layoutRef.current = null
+      return
+    }
 
     const margin = { top: 20, right: 20, bottom: 70, left: 80 }
     const legendHeight = 46
     const innerWidth = Math.max(0, width - margin.left - margin.right)
     const innerHeight = Math.max(0, height - margin.top - margin.bottom - legendHeight)
 
-    const svg = d3
-      .select(container)
-      .append('svg')
-      .attr('width', '100%')
-      .attr('height', height)
-      .attr('viewBox', `0 0 ${width} ${height}`)
-      .attr('preserveAspectRatio', 'xMidYMid meet')
+    // The svg is built once and updated in place so changes can animate.
+    let svg = d3.select(container).select('svg')
+    if (svg.empty()) {
+      svg = d3
+        .select(container)
+        .append('svg')
+        .attr('width', '100%')
+        .attr('preserveAspectRatio', 'xMidYMid meet')
+        .attr('role', 'group')
+        .attr(
+          'aria-label',
+          'Heatmap of books by publication year and average rating. Use the arrow keys to move between cells and Enter to select one.',
+        )
+      const defs = svg.append('defs')
+      defs.append('clipPath').attr('id', 'heatmapCellsClip').append('rect')
+      defs
+        .append('linearGradient')
+        .attr('id', 'heatmapLegendGradient')
+        .attr('x1', '0%')
+        .attr('x2', '100%')
+        .attr('y1', '0%')
+        .attr('y2', '0%')
+      const plot = svg.append('g').attr('class', 'plot')
+      plot.append('g').attr('class', 'x-axis').attr('aria-hidden', 'true')
+      plot.append('g').attr('class', 'y-axis').attr('aria-hidden', 'true')
+      plot.append('g').attr('clip-path', 'url(#heatmapCellsClip)').append('g').attr('class', 'cells')
+      svg.append('text').attr('class', 'axis-label x-label').attr('text-anchor', 'middle').text('Publication Year')
+      svg
+        .append('text')
+        .attr('class', 'axis-label y-label')
+        .attr('transform', 'rotate(-90)')
+        .attr('y', 18)
+        .attr('text-anchor', 'middle')
+        .text('Average Rating')
+      const legend = svg.append('g').attr('class', 'heatmap-legend')
+      legend
+        .append('rect')
+        .attr('class', 'legend-bar')
+        .attr('height', 10)
+        .attr('fill', 'url(#heatmapLegendGradient)')
+        .attr('stroke', 'rgba(0,0,0,0.18)')
+        .attr('rx', 2)
+      legend.append('g').attr('class', 'legend-axis').attr('transform', 'translate(0,10)')
+      legend.append('text').attr('class', 'legend-label').attr('y', -6).attr('text-anchor', 'start')
+    }
+
+    svg.attr('height', height).attr('viewBox', `0 0 ${width} ${height}`)
+    const g = svg.select('g.plot').attr('transform', `translate(${margin.left},${margin.top})`)
+    const t = svg.transition().duration(duration)
 
-    const g = svg.append('g').attr('transform', `translate(${margin.left},${margin.top})`)
+    const binKey = (b) => (b === MISSING_BIN ? 'missing' : String(b[0]))
+    const yearLabels = new Map(prepared.yearBins.map((b) => [binKey(b), yearBinLabel(b)]))
+    const ratingDigits = ratingBin < 0.5 ? 2 : 1
 
     const x = d3
       .scaleBand()
-      .domain(prepared.decades.map(String))
+      .domain(prepared.yearBins.map(binKey))
       .range([0, innerWidth])
       .paddingInner(0.08)
       .paddingOuter(0.02)
 
     const y = d3
       .scaleBand()
-      .domain(prepared.ratingBins.map((d) => d.toFixed(1)))
+      .domain(prepared.ratingBins.map(binKey))
       .range([innerHeight, 0])
       .paddingInner(0.08)
       .paddingOuter(0.02)
 
-    const maxCount = Math.max(1, prepared.maxCount)
-    const color = d3
-      .scaleSequential((t) => d3.interpolateBlues(0.25 + 0.75 * t))
-      .domain([1, maxCount])
+    const valueOf = (d) => {
+      if (normalize === 'year') return d.yearShare
+      if (normalize === 'rating') return d.ratingShare
+      return d.count
+    }
+    const formatValue = normalize === 'count' ? formatCount : formatPercent
+    const interpolate = PALETTES[palette] ?? PALETTES.blues
+    const values = prepared.data.map(valueOf)
+    const color = colorScaleFor(scaleMode, interpolate, values)
 
+    const everyX = Math.max(1, Math.ceil(prepared.yearBins.length / 10))
     const xAxis = d3
       .axisBottom(x)
       .tickSizeOuter(0)
-      .tickValues(prepared.decades.filter((d, i) => i % Math.max(1, Math.floor(prepared.decades.length / 10)) === 0).map(String))
+      .tickValues(x.domain().filter((d, i) => i % everyX === 0))
+      .tickFormat((d) => yearLabels.get(d) ?? d)
 
-    const yAxis = d3.axisLeft(y).tickSizeOuter(0)
+    const everyY = Math.max(1, Math.ceil(prepared.ratingBins.length / 12))
+    const yAxis = d3
+      .axisLeft(y)
+      .tickSizeOuter(0)
+      .tickValues(y.domain().filter((d, i) => i % everyY === 0))
+      .tickFormat((d) => (d === 'missing' ? ratingBinLabel(MISSING_BIN) : Number(d).toFixed(ratingDigits)))
 
-    g.append('g').attr('transform', `translate(0,${innerHeight})`).call(xAxis)
-    g.append('g').call(yAxis)
+    g.select('g.x-axis').attr('transform', `translate(0,${innerHeight})`).transition(t).call(xAxis)
+    g.select('g.y-axis').transition(t).call(yAxis)
 
     svg
-      .append('text')
-      .attr('class', 'axis-label')
+      .select('text.x-label')
       .attr('x', margin.left + innerWidth / 2)
       .attr('y', height - 12)
-      .attr('text-anchor', 'middle')
-      .text('Publication Decade')
+    svg.select('text.y-label').attr('x', -(margin.top + innerHeight / 2))
+
+    const tooltip = tooltipRef.current
+    const tooltipContent = (d) => ({
+      title: `Years: ${yearBinLabel(d.yearBin)}`,
+      lines: [
+        `Rating: ${ratingBinLabel(d.ratingBin)}`,
+        `Books: ${d.count}`,
+        normalize !== 'count' && `${normalize === 'year' ? 'Share of year bin' : 'Share of rating band'}: ${formatPercent(valueOf(d))}`,
+      ],
+    })
 
-    svg
-      .append('text')
-      .attr('class', 'axis-label')
-      .attr('transform', 'rotate(-90)')
-      .attr('x', -(margin.top + innerHeight / 2))
-      .attr('y', 18)
-      .attr('text-anchor', 'middle')
-      .text('Average Rating')
-
-    const tooltip =
-      tooltipRef.current ??
-      (() => {
-        const div = document.createElement('div')
-        div.className = 'd3-tooltip'
-        div.style.opacity = '0'
-        container.parentElement?.appendChild(div)
-        tooltipRef.current = div
-        return div
-      })()
-
-    const moveTooltip = (event) => {
-      const rect = container.getBoundingClientRect()
-      tooltip.style.left = `${event.clientX - rect.left + 12}px`
-      tooltip.style.top = `${event.clientY - rect.top + 12}px`
+    const cell = selection.cell
+    const isSelectedCell = (d) =>
+      !!cell &&
+      cell.year[0] === d.yearBin[0] &&
+      cell.year[1] === d.yearBin[1] &&
+      cell.rating[0] === d.ratingBin[0] &&
+      cell.rating[1] === d.ratingBin[1]
+
+    const bookYear = selectedBook ? (toNumber(selectedBook[yearKey]) ?? fillYear) : null
+    const bookRating = selectedBook ? (toNumber(selectedBook[ratingKey]) ?? fillRating) : null
+    const inBin = (v, bin) => (bin === MISSING_BIN ? v === null : v !== null && inRange(v, bin))
+    const hasBook = (d) => !!selectedBook && inBin(bookYear, d.yearBin) && inBin(bookRating, d.ratingBin)
+    // Missing buckets are shown for reference but have no range to select.
+    const isMissingCell = (d) => d.yearBin === MISSING_BIN || d.ratingBin === MISSING_BIN
+
+    // Selecting a cell also opens the list of its books.
+    const toggleCell = (d) => {
+      if (isMissingCell(d)) return
+      if (d.count <= 0 && !isSelectedCell(d)) return
+      setShowBooks(!isSelectedCell(d))
+      dispatch({
+        type: SELECTION_ACTIONS.TOGGLE_CELL,
+        cell: {
+          year: d.yearBin,
+          rating: d.ratingBin,
+          label: `${yearBinLabel(d.yearBin)}, ${ratingBinLabel(d.ratingBin)}`,
+        },
+      })
     }
 
-    const showTooltip = (event, d) => {
-      tooltip.style.opacity = '1'
-      tooltip.innerHTML = `<div><strong>Decade: ${d.decade}s</strong></div><div>Rating: ${ratingRangeLabel(d.ratingBin)}</div><div>Books: ${d.count}</div>`
-      moveTooltip(event)
+    const keyOf = (d) => `${d.yearBin[0]}|${d.ratingBin[0]}`
+    const ratingCount = prepared.ratingBins.length
+    const describeCell = (d) => {
+      const share =
+        normalize === 'count' ? '' : `, ${formatPercent(valueOf(d))} of ${normalize === 'year' ? 'year bin' : 'rating band'}`
+      return `Years ${yearBinLabel(d.yearBin)}, rating ${ratingBinLabel(d.ratingBin)}: ${d.count} books${share}`
     }
 
-    const hideTooltip = () => {
-      tooltip.style.opacity = '0'
+    // Cells are laid out year-major, so left/right steps a whole rating column.
+    const onKeyDown = (event, d) => {
+      if (isActivationKey(event.key)) {
+        event.preventDefault()
+        toggleCell(d)
+        tooltip.pin(anchorOf(event.currentTarget), tooltipContent(d), keyOf(d))
+        return
+      }
+      const i = prepared.data.indexOf(d)
+      const yi = Math.floor(i / ratingCount)
+      const ri = i % ratingCount
+      const steps = {
+        ArrowLeft: [yi - 1, ri],
+        ArrowRight: [yi + 1, ri],
+        ArrowUp: [yi, ri + 1],
+        ArrowDown: [yi, ri - 1],
+        Home: [0, ri],
+        End: [prepared.yearBins.length - 1, ri],
+      }
+      if (!steps[event.key]) return
+      event.preventDefault()
+      const [ny, nr] = steps[event.key]
+      const clamp = (v, n) => Math.max(0, Math.min(n - 1, v))
+      const next = prepared.data[clamp(ny, prepared.yearBins.length) * ratingCount + clamp(nr, ratingCount)]
+      cells.filter((c) => c === next).node()?.focus()
     }
 
-    g.append('g')
-      .selectAll('rect')
-      .data(prepared.data)
-      .join('rect')
-      .attr('x', (d) => x(String(d.decade)) ?? 0)
-      .attr('y', (d) => y(d.ratingBin.toFixed(1)) ?? 0)
+    if (!prepared.data.some((d) => keyOf(d) === focusKeyRef.current)) {
+      focusKeyRef.current = keyOf(prepared.data.find((d) => d.count > 0) ?? prepared.data[0])
+    }
+
+    svg.select('#heatmapCellsClip rect').attr('width', innerWidth).attr('height', innerHeight)
+    const cellsG = g.select('g.cells')
+
+    // Zooming in grows the year bin's old column to the full width; zooming
+    // out shrinks the full width back into that column.
+    const columns = new Map(prepared.yearBins.map((b) => [binKey(b), [(x(binKey(b)) ?? 0) / innerWidth, x.bandwidth() / innerWidth]]))
+    const prev = layoutRef.current
+    layoutRef.current = { zoom, columns }
+    const zoomedIn = zoom && prev && !prev.zoom ? prev.columns.get(String(zoom[0])) : null
+    const zoomedOut = !zoom && prev?.zoom ? columns.get(String(prev.zoom[0])) : null
+
+    const hadFocus = container.contains(document.activeElement)
+    const cells = cellsG
+      .selectAll('rect.heat-cell')
+      .data(prepared.data, keyOf)
+      .join(
+        (enter) =>
+          enter
+            .append('rect')
+            .attr('class', 'heat-cell')
+            .attr('x', (d) => x(binKey(d.yearBin)) ?? 0)
+            .attr('y', (d) => y(binKey(d.ratingBin)) ?? 0)
+            .attr('width', x.bandwidth())
+            .attr('height', y.bandwidth())
+            .attr('fill', '#eef2f7')
+            .attr('stroke', 'rgba(0,0,0,0.06)'),
+        (update) => update,
+        (exit) => (zoomedIn || zoomedOut ? exit.remove() : exit.transition(t).style('opacity', 0).remove()),
+      )
+      .classed('is-selected', (d) => isSelectedCell(d))
+      .classed('has-book', (d) => hasBook(d))
+      .classed('is-missing', isMissingCell)
+      .attr('role', 'button')
+      .attr('tabindex', (d) => (keyOf(d) === focusKeyRef.current ? 0 : -1))
+      .attr('aria-pressed', (d) => isSelectedCell(d))
+      .attr('aria-label', describeCell)
+      .style('cursor', (d) => (d.count > 0 && !isMissingCell(d) ? 'pointer' : 'default'))
+      .on('mouseenter', (event, d) => tooltip.show(event, tooltipContent(d)))
+      .on('mousemove', (event) => tooltip.move(event))
+      .on('mouseleave', () => tooltip.hide())
+      .on('click', (event, d) => {
+        toggleCell(d)
+        tooltip.pin(event, tooltipContent(d), keyOf(d))
+      })
+      .on('focus', function (event, d) {
+        focusKeyRef.current = keyOf(d)
+        cells.attr('tabindex', (c) => (keyOf(c) === focusKeyRef.current ? 0 : -1))
+        tooltip.show(anchorOf(this), tooltipContent(d))
+      })
+      .on('blur', () => tooltip.hide())
+      .on('keydown', onKeyDown)
+
+    cells
+      .transition(t)
+      .attr('x', (d) => x(binKey(d.yearBin)) ?? 0)
+      .attr('y', (d) => y(binKey(d.ratingBin)) ?? 0)
       .attr('width', x.bandwidth())
       .attr('height', y.bandwidth())
-      .attr('fill', (d) => (d.count <= 0 ? '#eef2f7' : color(d.count)))
-      .attr('stroke', 'rgba(0,0,0,0.06)')
-      .on('mouseenter', (event, d) => showTooltip(event, d))
-      .on('mousemove', (event) => moveTooltip(event))
-      .on('mouseleave', hideTooltip)
+      .attr('fill', (d) => (d.count <= 0 ? '#eef2f7' : color(valueOf(d))))
 
-    const legendWidth = Math.min(260, innerWidth)
-    const legendX = margin.left + innerWidth - legendWidth
-    const legendY = margin.top + innerHeight + 34
-
-    const defs = svg.append('defs')
-    const gradId = 'heatmapLegendGradient'
-    const gradient = defs
-      .append('linearGradient')
-      .attr('id', gradId)
-      .attr('x1', '0%')
-      .attr('x2', '100%')
-      .attr('y1', '0%')
-      .attr('y2', '0%')
-
-    const stops = 18
-    for (let i = 0; i <= stops; i += 1) {
-      const t = i / stops
-      gradient
-        .append('stop')
-        .attr('offset', `${t * 100}%`)
-        .attr('stop-color', d3.interpolateBlues(0.25 + 0.75 * t))
+    cells.filter((d) => isSelectedCell(d) || hasBook(d)).raise()
+    if (hadFocus && !container.contains(document.activeElement)) {
+      cells.filter((d) => keyOf(d) === focusKeyRef.current).node()?.focus()
     }
 
-    svg
-      .append('rect')
-      .attr('x', legendX)
-      .attr('y', legendY)
-      .attr('width', legendWidth)
-      .attr('height', 10)
-      .attr('fill', `url(#${gradId})`)
-      .attr('stroke', 'rgba(0,0,0,0.18)')
-      .attr('rx', 2)
-
-    const legendScale = d3.scaleLinear().domain([1, maxCount]).range([0, legendWidth])
-    const legendAxis = d3.axisBottom(legendScale).ticks(4).tickSizeOuter(0)
+    if (zoomedIn || zoomedOut) {
+      const [fx, fw] = zoomedIn ?? zoomedOut
+      const from = zoomedIn
+        ? `translate(${fx * innerWidth},0) scale(${fw},1)`
+        : `translate(${(-fx / fw) * innerWidth},0) scale(${1 / fw},1)`
+      cellsG.attr('transform', from).transition(t).ease(d3.easeCubicInOut).attr('transform', 'translate(0,0) scale(1,1)')
+    }
 
-    svg
-      .append('g')
-      .attr('transform', `translate(${legendX},${legendY + 10})`)
-      .call(legendAxis)
+    const legendWidth = Math.min(260, innerWidth)
+    const legend = svg
+      .select('g.heatmap-legend')
+      .attr('transform', `translate(${margin.left + innerWidth - legendWidth},${margin.top + innerHeight + 34})`)
 
     svg
-      .append('text')
-      .attr('x', legendX)
-      .attr('y', legendY - 6)
-      .attr('text-anchor', 'start')
-      .attr('class', 'legend-label')
-      .text('Number of Books')
-
-    return () => {
-      if (tooltipRef.current) {
-        tooltipRef.current.remove()
-        tooltipRef.current = null
-      }
+      .select('#heatmapLegendGradient')
+      .selectAll('stop')
+      .data(d3.range(0, 1.0001, 1 / 18))
+      .join('stop')
+      .attr('offset', (p) => `${p * 100}%`)
+      .attr('stop-color', (p) => interpolate(p))
+
+    legend.select('rect.legend-bar').attr('width', legendWidth)
+
+    let legendAxis
+    if (scaleMode === 'quantile' && color.quantiles) {
+      const quantiles = color.quantiles()
+      const legendScale = d3.scaleLinear().domain([0, quantiles.length - 1]).range([0, legendWidth])
+      const picks = [0, 0.25, 0.5, 0.75, 1].map((q) => Math.round(q * (quantiles.length - 1)))
+      legendAxis = d3
+        .axisBottom(legendScale)
+        .tickValues(Array.from(new Set(picks)))
+        .tickFormat((i) => formatValue(quantiles[i]))
+        .tickSizeOuter(0)
+    } else {
+      const legendScale = (scaleMode === 'log' ? d3.scaleLog() : d3.scaleLinear()).domain(color.domain()).range([0, legendWidth])
+      legendAxis = d3.axisBottom(legendScale).ticks(4, normalize === 'count' ? '~s' : '.0%').tickSizeOuter(0)
     }
-  }, [prepared, width, height])
+    legend.select('g.legend-axis').transition(t).call(legendAxis)
+
+    const legendTitle = { count: 'Number of Books', year: 'Share of Year Bin', rating: 'Share of Rating Band' }[normalize]
+    legend.select('text.legend-label').text(scaleMode === 'linear' ? legendTitle : `${legendTitle} (${scaleMode})`)
+  }, [prepared, zoom, width, height, selection.cell, selectedBook, yearKey, ratingKey, fillYear, fillRating, dispatch, normalize, palette, scaleMode, ratingBin, duration])
+
+  const cell = selection.cell
+  const cellBooks = useMemo(() => (highlighted ? Array.from(highlighted) : []), [highlighted])
+  const canZoom = !!cell && !zoom && cell.year[1] - cell.year[0] > 1
+
+  const zoomInto = () => {
+    setShowBooks(false)
+    setOption('heatmap', 'zoom', cell.year)
+  }
 
   return (
     <div className="chart-card">
-      <div className="chart-title">Distribution of Book Ratings Over Time</div>
-      <div className="chart-subtitle">Displays how book rating distributions vary across publication decades.</div>
+      <div className="chart-header">
+        <div className="chart-title">Distribution of Book Ratings Over Time</div>
+        <div className="chart-actions">
+          <ClearSelectionButton />
+          <TableToggle showTable={showTable} onChange={setShowTable} />
+          <ExportMenu containerRef={containerRef} filename="rating-year-heatmap" getData={exportRows} />
+        </div>
+      </div>
+      <div className="chart-subtitle">
+        Displays how book rating distributions vary across publication years. Click a cell to list its books.
+      </div>
+      <div className="chart-controls">
+        <ControlSelect label="Years" value={yearBin} onChange={(v) => setOption('heatmap', 'yearBin', v)} options={YEAR_BIN_OPTIONS} />
+        {yearBin === 'custom' && (
+          <TextField
+            size="small"
+            variant="standard"
+            label="Breakpoints"
+            value={breakpointText}
+            onChange={(e) => setOption('heatmap', 'breakpoints', e.target.value, 'heatmap.breakpoints')}
+            error={!breakpoints}
+            helperText={breakpoints ? undefined : 'Two or more numbers'}
+          />
+        )}
+        <ControlSelect
+          label="Rating bin"
+          value={ratingBin}
+          onChange={(v) => setOption('heatmap', 'ratingBin', Number(v))}
+          options={RATING_BIN_OPTIONS}
+        />
+        <ControlSelect label="Values" value={normalize} onChange={(v) => setOption('heatmap', 'normalize', v)} options={NORMALIZE_OPTIONS} />
+        <ControlSelect label="Scale" value={scaleMode} onChange={(v) => setOption('heatmap', 'scaleMode', v)} options={SCALE_OPTIONS} />
+        <ControlSelect label="Palette" value={palette} onChange={(v) => setOption('heatmap', 'palette', v)} options={PALETTE_OPTIONS} />
+        {zoom && (
+          <Button size="small" className="heatmap-zoom-out" onClick={() => setOption('heatmap', 'zoom', null)}>
+            Zoom out of {yearBinLabel(zoom)}
+          </Button>
+        )}
+      </div>
       <div className="chart-wrapper">
         <div ref={containerRef} className="chart-root" />
+        {showTable && <ChartTable caption="Books per publication year and rating bin" rows={exportRows()} />}
+        {showBooks && cell && (
+          <CellBookTable
+            key={cell.label}
+            caption={`${formatCount(cellBooks.length)} books from ${cell.label}`}
+            books={cellBooks}
+            fields={schema.fields}
+            selectedBook={selectedBook}
+            onSelect={selectBook}
+            actions={
+              <>
+                {canZoom && (
+                  <Button size="small" onClick={zoomInto}>
+                    Zoom into {yearBinLabel(cell.year)}
+                  </Button>
+                )}
+                <Button size="small" onClick={() => setShowBooks(false)}>
+                  Back to heatmap
+                </Button>
+              </>
+            }
+          />
+        )}
+        {rows.length > 0 && (!yearKey || !ratingKey) && (
+          <div className="chart-message">This view needs a numeric year and rating column.</div>
+        )}
       </div>
     </div>
   )
 }
-
@@ -0,0 +1,462 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import * as d3 from 'd3'
+import Button from '@mui/material/Button'
+import { useDataset } from '../stores/DatasetContext.jsx'
+import { useSelection } from '../stores/SelectionContext.jsx'
+import { SELECTION_ACTIONS } from '../stores/selectionReducer.js'
+import { useView } from '../stores/ViewContext.jsx'
+import { VIEW_ACTIONS } from '../stores/viewReducer.js'
+import { useExclusionReport } from '../stores/DataQualityContext.jsx'
+import { DRAG_OPTIONS, TREND_OPTIONS } from '../config/viewOptions.js'
+import { columnLabel, toNumber } from '../utils/bookFields.js'
+import { describeAxes, inBrush } from '../utils/axes.js'
+import { buildLineGroups } from '../utils/lineGroups.js'
+import { imputeNumber } from '../utils/missing.js'
+import { linearFit, loess } from '../utils/transforms.js'
+import { isActivationKey, stepIndex } from '../utils/a11y.js'
+import { useMotionDuration } from '../utils/motion.js'
+import { bookCard, useTooltip } from '../utils/tooltip.js'
+import ClearSelectionButton from './ClearSelectionButton.jsx'
+import ExportMenu from './ExportMenu.jsx'
+import ControlSelect from './ControlSelect.jsx'
+import ChartTable from './ChartTable.jsx'
+import TableToggle from './TableToggle.jsx'
+import GroupLegend from './GroupLegend.jsx'
+
+const POINT_COLOR = '#4a78a8'
+const POINT_RADIUS = 3.5
+const SIZE_RANGE = [2, 10]
+const HOVER_RADIUS = 12
+const MAX_ZOOM = 40
+
+const isIdentity = (transform) => transform.k === 1 && transform.x === 0 && transform.y === 0
+
+export default function ScatterPlot({ height = 320 }) {
+  const containerRef = useRef(null)
+  const liveRef = useRef(null)
+  const focusedBookRef = useRef(null)
+  const zoomRef = useRef(null)
+  const resetZoomRef = useRef(null)
+  const tooltipRef = useTooltip()
+
+  const { rows, columns, schema } = useDataset()
+  const { selection, dispatch, filteredRows, highlighted, lassoed, selectedBook, selectBook, rowId } = useSelection()
+  const { view, dispatch: viewDispatch, setOption } = useView()
+  const { x: xChoice, y: yChoice, size: sizeChoice, colorBy, hidden, trend, drag } = view.scatter
+  const [width, setWidth] = useState(0)
+  const [zoomed, setZoomed] = useState(false)
+  const [showTable, setShowTable] = useState(false)
+  const duration = useMotionDuration()
+
+  useEffect(() => {
+    if (!containerRef.current) return
+    const el = containerRef.current
+    const ro = new ResizeObserver((entries) => {
+      const next = Math.floor(entries[0].contentRect.width)
+      setWidth(next)
+    })
+    ro.observe(el)
+    setWidth(Math.floor(el.getBoundingClientRect().width))
+    return () => ro.disconnect()
+  }, [])
+
+  const axisInfo = useMemo(() => {
+    const excluded = new Set([...schema.exclude, schema.fields.title].filter(Boolean))
+    return describeAxes(rows, columns, excluded)
+  }, [rows, columns, schema])
+
+  // Unset or unusable encodings fall back to pages (or year) against rating.
+  const numericKeys = useMemo(() => [...axisInfo.values()].filter((a) => a.kind === 'number').map((a) => a.key), [axisInfo])
+  const pick = (choice, fallbacks) => (numericKeys.includes(choice) ? choice : (fallbacks.find((k) => k && numericKeys.includes(k)) ?? ''))
+  const xKey = pick(xChoice, [schema.fields.pages, schema.fields.year, numericKeys[0]])
+  const yKey = pick(yChoice, [schema.fields.rating, ...numericKeys.filter((k) => k !== xKey)])
+  const sizeKey = numericKeys.includes(sizeChoice) ? sizeChoice : ''
+
+  const numericOptions = numericKeys.map((k) => ({ value: k, label: columnLabel(k) }))
+  const genreKey = schema.fields.genre
+  const colorOptions = useMemo(() => {
+    const options = [{ value: '', label: 'None' }]
+    if (genreKey) options.push({ value: genreKey, label: `${columnLabel(genreKey)} (first)` })
+    for (const a of axisInfo.values()) if (a.key !== genreKey) options.push({ value: a.key, label: columnLabel(a.key) })
+    return options
+  }, [axisInfo, genreKey])
+  const colorKey = colorOptions.some((o) => o.value === colorBy) ? colorBy : ''
+
+  const grouping = useMemo(
+    () => buildLineGroups(rows, colorKey, { kind: axisInfo.get(colorKey)?.kind, genreKey }),
+    [rows, colorKey, axisInfo, genreKey],
+  )
+
+  const missingMode = view.missing.mode
+  const fillX = useMemo(() => imputeNumber(rows, xKey, missingMode), [rows, xKey, missingMode])
+  const fillY = useMemo(() => imputeNumber(rows, yKey, missingMode), [rows, yKey, missingMode])
+
+  // Books need both coordinates; imputing fills the gaps, the other modes
+  // leave them out since a point has nowhere to go without a value.
+  const prepared = useMemo(() => {
+    if (!xKey || !yKey) return { data: [], excluded: 0 }
+    const titleKey = schema.fields.title
+    const data = []
+    for (const r of filteredRows) {
+      const x = toNumber(r?.[xKey]) ?? fillX
+      const y = toNumber(r?.[yKey]) ?? fillY
+      if (x === null || y === null) continue
+      data.push({
+        raw: r,
+        id: rowId(r),
+        title: titleKey ? String(r?.[titleKey] ?? '') : '',
+        x,
+        y,
+        size: sizeKey ? toNumber(r?.[sizeKey]) : null,
+      })
+    }
+    return { data, excluded: filteredRows.length - data.length }
+  }, [schema, filteredRows, rowId, xKey, yKey, sizeKey, fillX, fillY])
+
+  useExclusionReport('scatter', {
+    label: 'Scatterplot',
+    total: filteredRows.length,
+    excluded: prepared.excluded,
+    reason: `missing ${columnLabel(xKey || 'x')} or ${columnLabel(yKey || 'y')}`,
+  })
+
+  const groupCounts = useMemo(
+    () => (grouping ? d3.rollup(prepared.data, (v) => v.length, (d) => grouping.groupOf(d.raw)) : new Map()),
+    [grouping, prepared.data],
+  )
+  const shown = useMemo(() => {
+    if (!grouping || hidden.length === 0) return prepared.data
+    const hiddenSet = new Set(hidden)
+    return prepared.data.filter((d) => !hiddenSet.has(grouping.groupOf(d.raw)))
+  }, [grouping, hidden, prepared.data])
+
+  const exportRows = () =>
+    shown.map((d) => ({
+      title: d.title,
+      [xKey]: d.x,
+      [yKey]: d.y,
+      ...(sizeKey ? { [sizeKey]: d.size ?? '' } : {}),
+      selected: !lassoed || lassoed.has(d.raw),
+    }))
+
+  useEffect(() => {
+    const container = containerRef.current
+    if (!container) return
+    if (shown.length === 0 || width <= 0) {
+      d3.select(container).selectAll('*').remove()
+      return
+    }
+
+    const margin = { top: 16, right: 20, bottom: 46, left: 60 }
+    const innerWidth = Math.max(0, width - margin.left - margin.right)
+    const innerHeight = Math.max(0, height - margin.top - margin.bottom)
+
+    let svg = d3.select(container).select('svg')
+    if (svg.empty()) {
+      svg = d3
+        .select(container)
+        .append('svg')
+        .attr('width', '100%')
+        .attr('preserveAspectRatio', 'xMidYMid meet')
+        .attr('role', 'group')
+        .attr('tabindex', 0)
+      svg.append('defs').append('clipPath').attr('id', 'scatterClip').append('rect')
+      const skeleton = svg.append('g').attr('class', 'plot')
+      skeleton.append('g').attr('class', 'x-axis').attr('aria-hidden', 'true')
+      skeleton.append('g').attr('class', 'y-axis').attr('aria-hidden', 'true')
+      const clipped = skeleton.append('g').attr('clip-path', 'url(#scatterClip)')
+      clipped.append('g').attr('class', 'scatter-points')
+      clipped.append('path').attr('class', 'scatter-trend')
+      clipped.append('rect').attr('class', 'scatter-overlay')
+      clipped.append('path').attr('class', 'scatter-lasso')
+      svg.append('text').attr('class', 'axis-label x-label').attr('text-anchor', 'middle')
+      svg.append('text').attr('class', 'axis-label y-label').attr('text-anchor', 'middle').attr('transform', 'rotate(-90)').attr('y', 16)
+    }
+
+    svg.attr('height', height).attr('viewBox', `0 0 ${width} ${height}`)
+    svg.select('#scatterClip rect').attr('width', innerWidth).attr('height', innerHeight)
+    svg
+      .select('text.x-label')
+      .attr('x', margin.left + innerWidth / 2)
+      .attr('y', height - 8)
+      .text(columnLabel(xKey))
+    svg
+      .select('text.y-label')
+      .attr('x', -(margin.top + innerHeight / 2))
+      .text(columnLabel(yKey))
+
+    const g = svg.select('g.plot').attr('transform', `translate(${margin.left},${margin.top})`)
+    const t = svg.transition().duration(duration)
+    const tooltip = tooltipRef.current
+
+    const pad = (lo, hi) => (lo === hi ? [lo - 1, hi + 1] : [lo, hi])
+    const x = d3.scaleLinear().domain(pad(...d3.extent(shown, (d) => d.x))).nice().range([0, innerWidth])
+    const y = d3.scaleLinear().domain(pad(...d3.extent(shown, (d) => d.y))).nice().range([innerHeight, 0])
+    const sizeExtent = sizeKey ? d3.extent(shown, (d) => d.size) : [undefined]
+    const size = sizeExtent[0] === undefined ? null : d3.scaleSqrt().domain(pad(...sizeExtent)).range(SIZE_RANGE)
+    const radius = (d) => (!size ? POINT_RADIUS : d.size === null ? SIZE_RANGE[0] : size(d.size))
+
+    // The zoom survives redraws until the x or y column changes.
+    const zoomKey = `${xKey}|${yKey}`
+    const transform = zoomRef.current?.key === zoomKey ? zoomRef.current.transform : d3.zoomIdentity
+    let zx = transform.rescaleX(x)
+    let zy = transform.rescaleY(y)
+
+    const xAxis = (scale) => d3.axisBottom(scale).ticks(Math.max(2, Math.floor(innerWidth / 80)), '~s')
+    const yAxis = (scale) => d3.axisLeft(scale).ticks(Math.max(2, Math.floor(innerHeight / 40)), '~s')
+    g.select('g.x-axis').attr('transform', `translate(0,${innerHeight})`).transition(t).call(xAxis(zx))
+    g.select('g.y-axis').transition(t).call(yAxis(zy))
+
+    const ranges = { ...selection.brushes }
+    const inBrushes = (d) => Object.entries(ranges).every(([dim, brush]) => inBrush(d.raw, dim, brush))
+    const isActive = (d) => (!lassoed || lassoed.has(d.raw)) && inBrushes(d)
+    const colorOf = (d) => (isActive(d) ? (grouping ? grouping.colorOf(d.raw) : POINT_COLOR) : '#c4c9d0')
+    const isBook = (d) => !!selectedBook && d.raw === selectedBook
+    const isHighlighted = (d) => !!highlighted && highlighted.has(d.raw)
+
+    // Inactive points sit underneath, the selected book on top.
+    const ordered = [...shown].sort((a, b) => isActive(a) - isActive(b) || isHighlighted(a) - isHighlighted(b) || isBook(a) - isBook(b))
+    const points = g
+      .select('g.scatter-points')
+      .selectAll('circle.scatter-point')
+      .data(ordered, (d) => d.id)
+      .join(
+        (enter) =>
+          enter
+            .append('circle')
+            .attr('class', 'scatter-point')
+            .attr('cx', (d) => zx(d.x))
+            .attr('cy', (d) => zy(d.y))
+            .attr('r', 0),
+        (update) => update,
+        (exit) => exit.transition(t).attr('r', 0).remove(),
+      )
+      .order()
+      .classed('is-highlighted', isHighlighted)
+      .classed('has-book', isBook)
+    points
+      .transition(t)
+      .attr('cx', (d) => zx(d.x))
+      .attr('cy', (d) => zy(d.y))
+      .attr('r', (d) => (isBook(d) ? radius(d) + 2 : radius(d)))
+      .attr('fill', colorOf)
+      .attr('fill-opacity', (d) => (isActive(d) ? 0.75 : 0.35))
+
+    const trendPath = g.select('path.scatter-trend')
+    const trendPoints = shown.filter(isActive).map((d) => [d.x, d.y])
+    let curve = []
+    if (trend === 'linear') {
+      const fit = linearFit(trendPoints)
+      if (fit) curve = x.domain().map((v) => [v, fit.predict(v)])
+    } else if (trend === 'loess') {
+      curve = loess(trendPoints)
+    }
+    const trendLine = () => (curve.length > 1 ? d3.line()(curve.map(([cx, cy]) => [zx(cx), zy(cy)])) : null)
+    trendPath.attr('d', trendLine())
+
+    const overlay = g.select('rect.scatter-overlay').attr('width', innerWidth).attr('height', innerHeight)
+    const lassoPath = g.select('path.scatter-lasso').attr('d', null)
+
+    // Hover and clicks go through a Delaunay index of the points as drawn.
+    let delaunay = null
+    const nearest = (event) => {
+      if (!delaunay) delaunay = d3.Delaunay.from(ordered, (d) => zx(d.x), (d) => zy(d.y))
+      const [mx, my] = d3.pointer(event, overlay.node())
+      const i = delaunay.find(mx, my)
+      const d = ordered[i]
+      return d && Math.hypot(zx(d.x) - mx, zy(d.y) - my) <= Math.max(HOVER_RADIUS, radius(d)) ? d : null
+    }
+
+    const clientPoint = (d) => {
+      const rect = svg.node().getBoundingClientRect()
+      const k = Math.min(rect.width / width, rect.height / height) || 1
+      return {
+        clientX: rect.left + (rect.width - width * k) / 2 + (margin.left + zx(d.x)) * k,
+        clientY: rect.top + (rect.height - height * k) / 2 + (margin.top + zy(d.y)) * k,
+      }
+    }
+
+    const describePoint = (d) =>
+      `${d.title || '(Untitled)'}: ${columnLabel(xKey)} ${d.x}, ${columnLabel(yKey)} ${d.y}${sizeKey && d.size !== null ? `, ${columnLabel(sizeKey)} ${d.size}` : ''}`
+
+    const zoom = d3
+      .zoom()
+      .scaleExtent([1, MAX_ZOOM])
+      .extent([
+        [0, 0],
+        [innerWidth, innerHeight],
+      ])
+      .translateExtent([
+        [0, 0],
+        [innerWidth, innerHeight],
+      ])
+      // Dragging pans only in pan mode; the wheel always zooms.
+      .filter((event) => (event.type === 'wheel' || drag === 'pan') && !event.ctrlKey && !event.button)
+      .on('zoom', (event) => {
+        zoomRef.current = { key: zoomKey, transform: event.transform }
+        zx = event.transform.rescaleX(x)
+        zy = event.transform.rescaleY(y)
+        delaunay = null
+        points.interrupt().attr('cx', (d) => zx(d.x)).attr('cy', (d) => zy(d.y))
+        g.select('g.x-axis').interrupt().call(xAxis(zx))
+        g.select('g.y-axis').interrupt().call(yAxis(zy))
+        trendPath.attr('d', trendLine())
+        tooltip.hide()
+        setZoomed(!isIdentity(event.transform))
+      })
+    // The zoom keeps its state on the element; restore it after a redraw so
+    // the next wheel step continues from the current view.
+    overlay.call(zoom).on('dblclick.zoom', null).property('__zoom', transform)
+    setZoomed(!isIdentity(transform))
+    resetZoomRef.current = () => overlay.transition().duration(duration).call(zoom.transform, d3.zoomIdentity)
+
+    // Lasso and rectangle selection, in plot coordinates. Shift adds to the
+    // current pick; a click without a drag falls through to the click handler.
+    let outline = []
+    const polygon = () => {
+      if (drag !== 'rect' || outline.length < 2) return outline
+      const [[x0, y0], [x1, y1]] = [outline[0], outline[outline.length - 1]]
+      return [
+        [x0, y0],
+        [x1, y0],
+        [x1, y1],
+        [x0, y1],
+      ]
+    }
+    overlay.call(
+      d3
+        .drag()
+        .filter((event) => drag !== 'pan' && !event.ctrlKey && !event.button)
+        .on('start', (event) => {
+          outline = [[event.x, event.y]]
+          tooltip.hide()
+        })
+        .on('drag', (event) => {
+          outline.push([event.x, event.y])
+          lassoPath.attr('d', `M${polygon().join('L')}Z`)
+        })
+        .on('end', (event) => {
+          const shape = polygon()
+          lassoPath.attr('d', null)
+          if (shape.length < 3 || Math.abs(d3.polygonArea(shape)) < 16) return
+          // Points greyed out by a brush cannot be lassoed. Points outside the
+          // current lasso can, since a new lasso replaces or adds to it.
+          const picked = shown.filter((d) => inBrushes(d) && d3.polygonContains(shape, [zx(d.x), zy(d.y)])).map((d) => d.id)
+          const ids = event.sourceEvent?.shiftKey ? Array.from(new Set([...selection.lasso, ...picked])) : picked
+          dispatch({ type: SELECTION_ACTIONS.SET_LASSO, ids })
+        }),
+    )
+
+    overlay
+      .on('mousemove', (event) => {
+        if (event.buttons) return
+        const d = nearest(event)
+        overlay.style('cursor', d ? 'pointer' : drag === 'pan' ? 'grab' : 'crosshair')
+        if (d) tooltip.show(event, bookCard(d.raw, schema.fields))
+        else tooltip.hide()
+      })
+      .on('mouseleave', () => tooltip.hide())
+      .on('click', (event) => {
+        const d = nearest(event)
+        if (d) {
+          selectBook(d.raw)
+          tooltip.pin(event, bookCard(d.raw, schema.fields), d.raw)
+        } else if (selection.lasso.length > 0) {
+          dispatch({ type: SELECTION_ACTIONS.SET_LASSO, ids: [] })
+        }
+      })
+
+    const keyboardPoints = () => shown.filter(isActive).sort((a, b) => d3.ascending(a.x, b.x) || d3.ascending(a.y, b.y))
+    const focusPoint = (d) => {
+      focusedBookRef.current = d.raw
+      tooltip.show(clientPoint(d), bookCard(d.raw, schema.fields))
+      if (liveRef.current) liveRef.current.textContent = describePoint(d)
+    }
+
+    svg
+      .attr(
+        'aria-label',
+        `Scatterplot of ${shown.length} books, ${columnLabel(yKey)} against ${columnLabel(xKey)}. ` +
+          'Use the arrow keys to step through books from left to right and Enter to open one.',
+      )
+      .on('keydown', (event) => {
+        if (event.target !== svg.node()) return
+        const list = keyboardPoints()
+        const i = list.findIndex((d) => d.raw === focusedBookRef.current)
+        if (isActivationKey(event.key)) {
+          if (i < 0) return
+          event.preventDefault()
+          selectBook(list[i].raw)
+          tooltip.pin(clientPoint(list[i]), bookCard(list[i].raw, schema.fields), list[i].raw)
+        } else if (event.key === 'Escape') {
+          focusedBookRef.current = null
+          tooltip.hide()
+        } else {
+          const next = stepIndex(event.key, i, list.length)
+          if (next === null) return
+          event.preventDefault()
+          focusPoint(list[i < 0 ? 0 : next])
+        }
+      })
+      .on('blur', () => tooltip.hide())
+
+    return () => {
+      svg.interrupt()
+    }
+  }, [shown, xKey, yKey, sizeKey, grouping, trend, drag, width, height, schema, highlighted, lassoed, selection.brushes, selection.lasso, selectedBook, selectBook, dispatch, duration])
+
+  return (
+    <div className="chart-card">
+      <div className="chart-header">
+        <div className="chart-title">Book Explorer (Scatterplot)</div>
+        <div className="chart-actions">
+          <ClearSelectionButton />
+          {zoomed && (
+            <Button size="small" onClick={() => resetZoomRef.current?.()}>
+              Reset zoom
+            </Button>
+          )}
+          <TableToggle showTable={showTable} onChange={setShowTable} />
+          <ExportMenu containerRef={containerRef} filename="scatterplot" getData={exportRows} />
+        </div>
+      </div>
+      <div className="chart-subtitle">
+        Each dot is a book. Scroll to zoom, drag to lasso books (hold Shift to add), click a dot for details.
+      </div>
+      <div className="chart-controls">
+        <ControlSelect label="X" value={xKey} onChange={(v) => setOption('scatter', 'x', v)} options={numericOptions} />
+        <ControlSelect label="Y" value={yKey} onChange={(v) => setOption('scatter', 'y', v)} options={numericOptions} />
+        <ControlSelect
+          label="Size"
+          value={sizeKey}
+          onChange={(v) => setOption('scatter', 'size', v)}
+          options={[{ value: '', label: 'None' }, ...numericOptions]}
+        />
+        <ControlSelect
+          label="Color by"
+          value={colorKey}
+          onChange={(column) => viewDispatch({ type: VIEW_ACTIONS.SET_COLOR_BY, chart: 'scatter', column })}
+          options={colorOptions}
+        />
+        <ControlSelect label="Trend" value={trend} onChange={(v) => setOption('scatter', 'trend', v)} options={TREND_OPTIONS} />
+        <ControlSelect label="Drag to" value={drag} onChange={(v) => setOption('scatter', 'drag', v)} options={DRAG_OPTIONS} />
+      </div>
+      {grouping && (
+        <GroupLegend
+          title={colorOptions.find((o) => o.value === colorKey).label}
+          groups={grouping.groups}
+          counts={groupCounts}
+          hidden={hidden}
+          onToggle={(group) => viewDispatch({ type: VIEW_ACTIONS.TOGGLE_GROUP, chart: 'scatter', group })}
+        />
+      )}
+      <div className="chart-wrapper">
+        <div ref={containerRef} className="chart-root" />
+        <div ref={liveRef} className="sr-only" aria-live="polite" />
+        {showTable && <ChartTable caption="Books shown in the scatterplot" rows={exportRows()} />}
+        {rows.length > 0 && (!xKey || !yKey) && <div className="chart-message">No numeric columns to plot.</div>}
+        {xKey && yKey && shown.length === 0 && <div className="chart-message">No books match the current filters.</div>}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,19 @@
+import { useDataset } from '../stores/DatasetContext.jsx'
+
+export default function SchemaIssues() {
+  const { status, schema } = useDataset()
+  if (status !== 'ready' || schema.issues.length === 0) return null
+
+  return (
+    <div className="schema-issues" role="status">
+      <div className="schema-issues-title">Column mapping problems (see src/config/columnMapping.json)</div>
+      <ul>
+        {schema.issues.map((issue, i) => (
+          <li key={i} className={`schema-issue schema-issue-${issue.level}`}>
+            {issue.message}
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
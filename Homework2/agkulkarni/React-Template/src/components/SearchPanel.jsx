@@ -0,0 +1,70 @@
+import { useMemo } from 'react'
+import TextField from '@mui/material/TextField'
+import { useDataset } from '../stores/DatasetContext.jsx'
+import { useSelection } from '../stores/SelectionContext.jsx'
+import { SELECTION_ACTIONS } from '../stores/selectionReducer.js'
+import { columnLabel } from '../utils/bookFields.js'
+import { facetValue } from '../utils/search.js'
+import ControlSelect from './ControlSelect.jsx'
+
+function formatValue(value) {
+  if (value === '') return '(blank)'
+  if (value === 'true') return 'Yes'
+  if (value === 'false') return 'No'
+  return value
+}
+
+export default function SearchPanel() {
+  const { rows, schema } = useDataset()
+  const { selection, dispatch, searchedRows, facetCounts } = useSelection()
+
+  const facetValues = useMemo(() => {
+    const out = {}
+    for (const column of schema.facets) {
+      const totals = new Map()
+      for (const r of rows) {
+        const v = facetValue(r, column)
+        totals.set(v, (totals.get(v) ?? 0) + 1)
+      }
+      out[column] = Array.from(totals.keys()).sort((a, b) => totals.get(b) - totals.get(a) || a.localeCompare(b))
+    }
+    return out
+  }, [rows, schema.facets])
+
+  if (rows.length === 0) return null
+
+  return (
+    <div className="search-panel chart-controls">
+      {schema.search.length > 0 && (
+        <TextField
+          className="search-input"
+          size="small"
+          variant="standard"
+          type="search"
+          label={`Search ${schema.search.map(columnLabel).join(', ').toLowerCase()}`}
+          value={selection.query}
+          onChange={(e) =>
+            dispatch({ type: SELECTION_ACTIONS.SET_QUERY, query: e.target.value, coalesce: 'selection.query' })
+          }
+        />
+      )}
+      {schema.facets.map((column) => (
+        <ControlSelect
+          key={column}
+          multiple
+          label={columnLabel(column)}
+          value={selection.facets[column] ?? []}
+          onChange={(values) => dispatch({ type: SELECTION_ACTIONS.SET_FACET, column, values })}
+          renderValue={(values) => (values.length === 1 ? formatValue(values[0]) : `${values.length} selected`)}
+          options={facetValues[column].map((v) => ({
+            value: v,
+            label: `${formatValue(v)} (${facetCounts[column]?.get(v) ?? 0})`,
+          }))}
+        />
+      ))}
+      <span className="search-count">
+        {searchedRows.length === rows.length ? `${rows.length} books` : `${searchedRows.length} of ${rows.length} books`}
+      </span>
+    </div>
+  )
+}
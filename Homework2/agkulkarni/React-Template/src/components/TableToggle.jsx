@@ -0,0 +1,15 @@
+import Button from '@mui/material/Button'
+
+export default function TableToggle({ showTable, onChange }) {
+  return (
+    <Button
+      size="small"
+      className="table-toggle"
+      aria-pressed={showTable}
+      onClick={() => onChange(!showTable)}
+      title={showTable ? 'Show the chart' : 'Show the data behind this chart as a table'}
+    >
+      {showTable ? 'View chart' : 'View as table'}
+    </Button>
+  )
+}
@@ -0,0 +1,364 @@
+import { useEffect, useId, useMemo, useRef, useState } from 'react'
+import * as d3 from 'd3'
+import Slider from '@mui/material/Slider'
+import { useDataset } from '../stores/DatasetContext.jsx'
+import { useSelection } from '../stores/SelectionContext.jsx'
+import { SELECTION_ACTIONS } from '../stores/selectionReducer.js'
+import { useView } from '../stores/ViewContext.jsx'
+import { useExclusionReport } from '../stores/DataQualityContext.jsx'
+import { splitGenres } from '../utils/bookFields.js'
+import { buildTagGraph } from '../utils/transforms.js'
+import { anchorOf, isActivationKey, stepIndex } from '../utils/a11y.js'
+import { useMotionDuration } from '../utils/motion.js'
+import { useTooltip } from '../utils/tooltip.js'
+import ClearSelectionButton from './ClearSelectionButton.jsx'
+import ExportMenu from './ExportMenu.jsx'
+import ChartTable from './ChartTable.jsx'
+import TableToggle from './TableToggle.jsx'
+
+const MAX_TAGS = 40
+const NODE_RANGE = [4, 18]
+const LINK_RANGE = [1, 6]
+const LABEL_MIN_RADIUS = 7
+const SETTLE_TICKS = 300
+
+export default function TagNetwork({ height = 320 }) {
+  const containerRef = useRef(null)
+  const focusKeyRef = useRef(null)
+  // Node positions survive redraws so a new threshold or search only nudges
+  // the layout instead of starting it over.
+  const positionsRef = useRef(new Map())
+  const tooltipRef = useTooltip()
+  const sliderLabelId = useId()
+
+  const { rows, schema } = useDataset()
+  const { selection, dispatch, crossFiltered, selectedBook } = useSelection()
+  const tagRows = crossFiltered.tags
+  const { view, setOption } = useView()
+  const { minWeight: minWeightSetting } = view.network
+  const [width, setWidth] = useState(0)
+  const [showTable, setShowTable] = useState(false)
+  const duration = useMotionDuration()
+  const tagsKey = schema.fields.tags
+
+  useEffect(() => {
+    if (!containerRef.current) return
+    const el = containerRef.current
+    const ro = new ResizeObserver((entries) => {
+      const next = Math.floor(entries[0].contentRect.width)
+      setWidth(next)
+    })
+    ro.observe(el)
+    setWidth(Math.floor(el.getBoundingClientRect().width))
+    return () => ro.disconnect()
+  }, [])
+
+  // The full graph sets the slider range; the threshold only drops links.
+  const fullGraph = useMemo(() => buildTagGraph(tagRows, tagsKey, { maxTags: MAX_TAGS }), [tagRows, tagsKey])
+  const maxWeight = d3.max(fullGraph.links, (l) => l.weight) ?? 1
+  // A filter can leave no pair sharing as many books as the saved threshold;
+  // clamp it so the slider and the links agree instead of the network emptying.
+  const minWeight = Math.min(minWeightSetting, maxWeight)
+  const graph = useMemo(
+    () => ({ nodes: fullGraph.nodes, links: fullGraph.links.filter((l) => l.weight >= minWeight) }),
+    [fullGraph, minWeight],
+  )
+
+  const untagged = useMemo(
+    () => (tagsKey ? tagRows.filter((r) => splitGenres(r?.[tagsKey]).length === 0).length : 0),
+    [tagRows, tagsKey],
+  )
+
+  useExclusionReport('network', {
+    label: 'Tag network',
+    total: tagsKey ? tagRows.length : 0,
+    excluded: untagged,
+    reason: 'no tags',
+  })
+
+  const degree = useMemo(() => {
+    const out = new Map()
+    for (const l of graph.links) {
+      out.set(l.source, (out.get(l.source) ?? 0) + 1)
+      out.set(l.target, (out.get(l.target) ?? 0) + 1)
+    }
+    return out
+  }, [graph])
+
+  const exportRows = () =>
+    graph.nodes.map((n) => ({
+      tag: n.id,
+      books: n.count,
+      linked_tags: degree.get(n.id) ?? 0,
+      selected: selection.tags.includes(n.id),
+    }))
+
+  useEffect(() => {
+    const container = containerRef.current
+    if (!container) return
+    if (graph.nodes.length === 0 || width <= 0) {
+      d3.select(container).selectAll('*').remove()
+      return
+    }
+
+    let svg = d3.select(container).select('svg')
+    if (svg.empty()) {
+      svg = d3
+        .select(container)
+        .append('svg')
+        .attr('width', '100%')
+        .attr('preserveAspectRatio', 'xMidYMid meet')
+        .attr('role', 'group')
+      svg.append('g').attr('class', 'tag-links').attr('aria-hidden', 'true')
+      svg.append('g').attr('class', 'tag-nodes')
+    }
+
+    svg
+      .attr('height', height)
+      .attr('viewBox', `0 0 ${width} ${height}`)
+      .attr('aria-label', `Network of the ${graph.nodes.length} most common tags. Links join tags that share at least ${minWeight} books.`)
+
+    const t = svg.transition().duration(duration)
+    const tooltip = tooltipRef.current
+    const positions = positionsRef.current
+
+    const radius = d3
+      .scaleSqrt()
+      .domain([0, d3.max(graph.nodes, (n) => n.count) ?? 1])
+      .range([NODE_RANGE[0] / 2, NODE_RANGE[1]])
+    const stroke = d3
+      .scaleLinear()
+      .domain([minWeight, Math.max(minWeight + 1, maxWeight)])
+      .range(LINK_RANGE)
+      .clamp(true)
+
+    const nodes = graph.nodes.map((n) => ({ ...n, ...positions.get(n.id), r: radius(n.count) }))
+    // forceLink swaps source and target for node objects, so the join key is
+    // kept separately.
+    const links = graph.links.map((l) => ({ ...l, key: `${l.source}|${l.target}` }))
+
+    const neighbors = new Map(nodes.map((n) => [n.id, new Set([n.id])]))
+    for (const l of links) {
+      neighbors.get(l.source).add(l.target)
+      neighbors.get(l.target).add(l.source)
+    }
+    // graph.links is sorted by weight and keeps plain ids; the simulation
+    // swaps the copies' ends for node objects.
+    const strongest = (id) => {
+      const l = graph.links.find((link) => link.source === id || link.target === id)
+      return l ? `Most often with ${l.source === id ? l.target : l.source} (${l.weight} books)` : null
+    }
+
+    const selectedTags = new Set(selection.tags)
+    const bookTags = new Set(selectedBook && tagsKey ? splitGenres(selectedBook[tagsKey]) : [])
+
+    const tooltipContent = (d) => ({
+      title: d.id,
+      lines: [`Books: ${d.count}`, `Linked tags: ${degree.get(d.id) ?? 0}`, strongest(d.id)],
+    })
+    const describeNode = (d) => `${d.id}: ${d.count} books, linked to ${degree.get(d.id) ?? 0} tags`
+
+    const toggleTag = (d) => dispatch({ type: SELECTION_ACTIONS.TOGGLE_TAG, tag: d.id })
+
+    const linkSel = svg
+      .select('g.tag-links')
+      .selectAll('line.tag-link')
+      .data(links, (l) => l.key)
+      .join(
+        (enter) => enter.append('line').attr('class', 'tag-link').attr('stroke-width', 0),
+        (update) => update,
+        (exit) => exit.transition(t).attr('stroke-width', 0).remove(),
+      )
+    linkSel.transition(t).attr('stroke-width', (l) => stroke(l.weight))
+
+    const nodeSel = svg
+      .select('g.tag-nodes')
+      .selectAll('g.tag-node')
+      .data(nodes, (d) => d.id)
+      .join(
+        (enter) => {
+          const node = enter.append('g').attr('class', 'tag-node')
+          node.append('circle').attr('r', 0)
+          node.append('text').attr('class', 'tag-label').attr('text-anchor', 'middle')
+          return node
+        },
+        (update) => update,
+        (exit) => exit.transition(t).style('opacity', 0).remove(),
+      )
+      .classed('is-selected', (d) => selectedTags.has(d.id))
+      .classed('is-dimmed', (d) => selectedTags.size > 0 && !selectedTags.has(d.id))
+      .classed('has-book', (d) => bookTags.has(d.id))
+      .attr('role', 'button')
+      .attr('aria-pressed', (d) => selectedTags.has(d.id))
+      .attr('aria-label', describeNode)
+    nodeSel
+      .select('circle')
+      .transition(t)
+      .attr('r', (d) => d.r)
+    nodeSel
+      .select('text')
+      .attr('dy', (d) => d.r + 10)
+      .text((d) => (d.r >= LABEL_MIN_RADIUS || selectedTags.has(d.id) ? d.id : ''))
+
+    // Hovering or focusing a tag fades everything it does not share books with.
+    const emphasize = (id) => {
+      const near = id ? neighbors.get(id) : null
+      nodeSel.classed('is-faded', (d) => !!near && !near.has(d.id))
+      linkSel.classed('is-active', (l) => !!id && (l.source.id === id || l.target.id === id))
+      linkSel.classed('is-faded', (l) => !!id && l.source.id !== id && l.target.id !== id)
+    }
+
+    const place = () => {
+      for (const n of nodes) {
+        n.x = Math.max(n.r, Math.min(width - n.r, n.x))
+        n.y = Math.max(n.r, Math.min(height - n.r - 12, n.y))
+        positions.set(n.id, { x: n.x, y: n.y })
+      }
+      linkSel
+        .attr('x1', (l) => l.source.x)
+        .attr('y1', (l) => l.source.y)
+        .attr('x2', (l) => l.target.x)
+        .attr('y2', (l) => l.target.y)
+      nodeSel.attr('transform', (d) => `translate(${d.x},${d.y})`)
+    }
+
+    const simulation = d3
+      .forceSimulation(nodes)
+      .force(
+        'link',
+        d3
+          .forceLink(links)
+          .id((d) => d.id)
+          .distance((l) => 30 + l.source.r + l.target.r)
+          .strength((l) => 0.2 + 0.6 * (stroke(l.weight) / LINK_RANGE[1])),
+      )
+      .force('charge', d3.forceManyBody().strength(-60))
+      .force(
+        'collide',
+        d3.forceCollide((d) => d.r + 3),
+      )
+      .force('center', d3.forceCenter(width / 2, height / 2))
+      .force('x', d3.forceX(width / 2).strength(0.05))
+      .force('y', d3.forceY(height / 2).strength(0.08))
+      .on('tick', place)
+
+    // With reduced motion the layout settles before it is drawn; otherwise it
+    // eases from the previous positions, or from scratch on the first draw.
+    const seeded = nodes.every((n) => positions.has(n.id))
+    if (duration === 0) {
+      simulation.stop()
+      simulation.tick(SETTLE_TICKS)
+      place()
+    } else {
+      simulation.alpha(seeded ? 0.3 : 1).restart()
+    }
+
+    nodeSel.call(
+      d3
+        .drag()
+        .clickDistance(4)
+        .on('start', (event, d) => {
+          tooltip.hide()
+          if (!event.active && duration > 0) simulation.alphaTarget(0.3).restart()
+          d.fx = d.x
+          d.fy = d.y
+        })
+        .on('drag', (event, d) => {
+          d.fx = event.x
+          d.fy = event.y
+          if (duration === 0) {
+            d.x = event.x
+            d.y = event.y
+            place()
+          }
+        })
+        .on('end', (event, d) => {
+          if (!event.active) simulation.alphaTarget(0)
+          d.fx = null
+          d.fy = null
+        }),
+    )
+
+    if (!nodes.some((d) => d.id === focusKeyRef.current)) focusKeyRef.current = nodes[0].id
+    const nodeOf = (id) => nodeSel.filter((d) => d.id === id).node()
+
+    nodeSel
+      .attr('tabindex', (d) => (d.id === focusKeyRef.current ? 0 : -1))
+      .on('mouseenter', (event, d) => {
+        emphasize(d.id)
+        tooltip.show(event, tooltipContent(d))
+      })
+      .on('mousemove', (event) => tooltip.move(event))
+      .on('mouseleave', () => {
+        emphasize(null)
+        tooltip.hide()
+      })
+      .on('click', (event, d) => {
+        toggleTag(d)
+        tooltip.pin(event, tooltipContent(d), d.id)
+      })
+      .on('focus', function (event, d) {
+        focusKeyRef.current = d.id
+        nodeSel.attr('tabindex', (n) => (n.id === d.id ? 0 : -1))
+        emphasize(d.id)
+        tooltip.show(anchorOf(this), tooltipContent(d))
+      })
+      .on('blur', () => {
+        emphasize(null)
+        tooltip.hide()
+      })
+      .on('keydown', (event, d) => {
+        if (isActivationKey(event.key)) {
+          event.preventDefault()
+          toggleTag(d)
+          tooltip.pin(anchorOf(event.currentTarget), tooltipContent(d), d.id)
+          return
+        }
+        // Arrow keys go through tags from most to least common.
+        const next = stepIndex(event.key, nodes.indexOf(d), nodes.length)
+        if (next === null) return
+        event.preventDefault()
+        nodeOf(nodes[next].id)?.focus()
+      })
+
+    return () => {
+      simulation.stop()
+      svg.interrupt()
+    }
+  }, [graph, degree, minWeight, maxWeight, width, height, tagsKey, selection.tags, selectedBook, dispatch, duration])
+
+  return (
+    <div className="chart-card">
+      <div className="chart-header">
+        <div className="chart-title">Tag Network</div>
+        <div className="chart-actions">
+          <ClearSelectionButton />
+          <TableToggle showTable={showTable} onChange={setShowTable} />
+          <ExportMenu containerRef={containerRef} filename="tag-network" getData={exportRows} />
+        </div>
+      </div>
+      <div className="chart-subtitle">Tags sized by books, linked by books they share. Click a tag to filter the dashboard; drag to rearrange.</div>
+      <div className="chart-controls tag-weight-control">
+        <span id={sliderLabelId} className="tag-weight-label">
+          Min shared books: {minWeight}
+        </span>
+        <Slider
+          size="small"
+          value={minWeight}
+          min={1}
+          max={Math.max(2, maxWeight)}
+          step={1}
+          disabled={maxWeight < 2}
+          onChange={(_, value) => setOption('network', 'minWeight', value, 'network.minWeight')}
+          aria-labelledby={sliderLabelId}
+        />
+      </div>
+      <div className="chart-wrapper">
+        <div ref={containerRef} className="chart-root" />
+        {showTable && <ChartTable caption="Tags in the network" rows={exportRows()} />}
+        {rows.length > 0 && !tagsKey && <div className="chart-message">No tags column in this dataset.</div>}
+        {tagsKey && graph.nodes.length === 0 && <div className="chart-message">No tagged books match the current filters.</div>}
+      </div>
+    </div>
+  )
+}
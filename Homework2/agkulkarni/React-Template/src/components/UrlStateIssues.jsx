@@ -0,0 +1,23 @@
+import Button from '@mui/material/Button'
+
+export default function UrlStateIssues({ issues, onDismiss }) {
+  if (!issues || issues.length === 0) return null
+
+  return (
+    <div className="schema-issues url-state-issues" role="status">
+      <div className="url-state-issues-header">
+        <div className="schema-issues-title">Some link parameters were ignored</div>
+        <Button size="small" onClick={onDismiss}>
+          Dismiss
+        </Button>
+      </div>
+      <ul>
+        {issues.map((issue, i) => (
+          <li key={i} className={`schema-issue schema-issue-${issue.level}`}>
+            <code>{issue.param}</code>: {issue.message}
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
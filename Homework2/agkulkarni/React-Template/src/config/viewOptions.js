@@ -0,0 +1,96 @@
+export const TOP_N_OPTIONS = [5, 10, 15, 20, 30].map((n) => ({ value: n, label: String(n) }))
+
+export const SORT_OPTIONS = [
+  { value: 'count', label: 'Count' },
+  { value: 'alpha', label: 'A–Z' },
+  { value: 'rating', label: 'Avg rating' },
+]
+
+export const MEASURE_OPTIONS = [
+  { value: 'count', label: 'Books' },
+  { value: 'rating', label: 'Avg rating' },
+]
+
+export const CREDIT_OPTIONS = [
+  { value: 'full', label: 'Full credit' },
+  { value: 'fractional', label: 'Fractional' },
+  { value: 'first', label: 'First genre only' },
+]
+
+export const YEAR_BIN_OPTIONS = [
+  { value: 'year', label: 'Year' },
+  { value: 'five', label: '5 years' },
+  { value: 'decade', label: 'Decade' },
+  { value: 'custom', label: 'Custom' },
+]
+
+export const RATING_BIN_OPTIONS = [
+  { value: 0.1, label: '0.1' },
+  { value: 0.25, label: '0.25' },
+  { value: 0.5, label: '0.5' },
+]
+
+export const SCALE_OPTIONS = [
+  { value: 'linear', label: 'Linear' },
+  { value: 'log', label: 'Log' },
+  { value: 'quantile', label: 'Quantile' },
+]
+
+export const CAT_ORDER_OPTIONS = [
+  { value: 'frequency', label: 'Most common' },
+  { value: 'alpha', label: 'A–Z' },
+]
+
+export const LINE_MODE_OPTIONS = [
+  { value: 'lines', label: 'Every book' },
+  { value: 'bundled', label: 'Group average' },
+]
+
+export const TREND_OPTIONS = [
+  { value: 'none', label: 'None' },
+  { value: 'linear', label: 'Linear' },
+  { value: 'loess', label: 'LOESS' },
+]
+
+export const DRAG_OPTIONS = [
+  { value: 'lasso', label: 'Lasso' },
+  { value: 'rect', label: 'Rectangle' },
+  { value: 'pan', label: 'Pan' },
+]
+
+export const ADAPTATION_SORT_OPTIONS = [
+  { value: 'lag', label: 'Longest wait' },
+  { value: 'film', label: 'Newest film' },
+  { value: 'rating', label: 'Top rated' },
+]
+
+export const MOTION_OPTIONS = [
+  { value: 'system', label: 'Follow system' },
+  { value: 'reduce', label: 'Reduced' },
+  { value: 'full', label: 'Full' },
+]
+
+export const MISSING_OPTIONS = [
+  { value: 'exclude', label: 'Exclude' },
+  { value: 'mean', label: 'Impute mean' },
+  { value: 'median', label: 'Impute median' },
+  { value: 'show', label: 'Show as missing' },
+]
+
+export const PALETTE_OPTIONS = [
+  { value: 'blues', label: 'Blues' },
+  { value: 'viridis', label: 'Viridis' },
+  { value: 'cividis', label: 'Cividis' },
+  { value: 'magma', label: 'Magma' },
+]
+
+export const NORMALIZE_OPTIONS = [
+  { value: 'count', label: 'Raw count' },
+  { value: 'year', label: '% of year bin' },
+  { value: 'rating', label: '% of rating band' },
+]
+
+export const DEFAULT_BREAKPOINTS = '1900, 1950, 1980, 2000, 2010, 2030'
+
+// Publication years the heatmap plots; books outside are left out of its cells.
+export const HEATMAP_YEAR_BOUNDS = { minYear: 1900, maxYear: null }
@@ -0,0 +1,40 @@
+import { createContext, useContext, useMemo, useReducer, useState } from 'react'
+import { useDataset } from './DatasetContext.jsx'
+import { DASHBOARD_ACTIONS, dashboardReducer, initialDashboard } from './dashboardReducer.js'
+
+const DashboardContext = createContext(undefined)
+
+export function DashboardProvider({ children }) {
+  const { rows } = useDataset()
+  const [state, dispatch] = useReducer(dashboardReducer, initialDashboard)
+
+  // Reset during render rather than in an effect, so that state restored by a
+  // child's effect for the new rows (e.g. from the URL) is not wiped afterwards.
+  const [dashboardRows, setDashboardRows] = useState(rows)
+  if (dashboardRows !== rows) {
+    setDashboardRows(rows)
+    dispatch({ type: DASHBOARD_ACTIONS.RESET })
+  }
+
+  const value = useMemo(
+    () => ({
+      selection: state.present.selection,
+      view: state.present.view,
+      dispatch,
+      coalesce: state.coalesce,
+      canUndo: state.past.length > 0,
+      canRedo: state.future.length > 0,
+      undo: () => dispatch({ type: DASHBOARD_ACTIONS.UNDO }),
+      redo: () => dispatch({ type: DASHBOARD_ACTIONS.REDO }),
+    }),
+    [state],
+  )
+
+  return <DashboardContext.Provider value={value}>{children}</DashboardContext.Provider>
+}
+
+export function useDashboard() {
+  const ctx = useContext(DashboardContext)
+  if (!ctx) throw new Error('useDashboard must be used within a DashboardProvider')
+  return ctx
+}
@@ -0,0 +1,36 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react'
+
+const DataQualityContext = createContext(undefined)
+
+// Collects how many rows each chart left out, so the data-quality panel can
+// report them without knowing how every chart prepares its data.
+export function DataQualityProvider({ children }) {
+  const [exclusions, setExclusions] = useState({})
+
+  const report = useCallback((chart, entry) => {
+    setExclusions((prev) => {
+      const cur = prev[chart]
+      if (cur && cur.label === entry.label && cur.total === entry.total && cur.excluded === entry.excluded && cur.reason === entry.reason) {
+        return prev
+      }
+      return { ...prev, [chart]: entry }
+    })
+  }, [])
+
+  const value = useMemo(() => ({ exclusions, report }), [exclusions, report])
+
+  return <DataQualityContext.Provider value={value}>{children}</DataQualityContext.Provider>
+}
+
+export function useDataQuality() {
+  const ctx = useContext(DataQualityContext)
+  if (!ctx) throw new Error('useDataQuality must be used within a DataQualityProvider')
+  return ctx
+}
+
+export function useExclusionReport(chart, { label, total, excluded, reason }) {
+  const { report } = useDataQuality()
+  useEffect(() => {
+    report(chart, { label, total, excluded, reason })
+  }, [report, chart, label, total, excluded, reason])
+}
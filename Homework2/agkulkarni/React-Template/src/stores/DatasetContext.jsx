@@ -0,0 +1,60 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react'
+import * as d3 from 'd3'
+import { DEFAULT_MAPPING, numberFieldColumns, resolveSchema } from '../utils/schema.js'
+import { coerceNumbers, detectFormat, normalizeRows, parseDatasetText } from '../utils/dataset.js'
+
+export const DEFAULT_DATASET_URL = '/data/top_1000_most_swapped_books.csv'
+
+const DatasetContext = createContext(undefined)
+
+export function DatasetProvider({ url = DEFAULT_DATASET_URL, mapping = DEFAULT_MAPPING, children }) {
+  const [state, setState] = useState({ status: 'loading', rows: [], columns: [], error: null })
+  const [source, setSource] = useState({ kind: 'bundled', name: url.split('/').pop() })
+
+  useEffect(() => {
+    let cancelled = false
+    setState({ status: 'loading', rows: [], columns: [], error: null })
+
+    const load =
+      source.kind === 'file'
+        ? source.file.text().then((text) => parseDatasetText(text, detectFormat(source.file.name, source.file.type)))
+        : d3.csv(url).then(normalizeRows)
+
+    load
+      .then(({ rows, columns }) => {
+        if (cancelled) return
+        if (rows.length === 0) throw new Error(`${source.name} has no data rows.`)
+        setState({ status: 'ready', rows, columns, error: null })
+      })
+      .catch((err) => {
+        if (cancelled) return
+        console.error(`Failed to load ${source.name}:`, err)
+        setState({ status: 'error', rows: [], columns: [], error: err })
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [url, source])
+
+  const loadFile = useCallback((file) => setSource({ kind: 'file', name: file.name, file }), [])
+  const loadBundled = useCallback(() => setSource({ kind: 'bundled', name: url.split('/').pop() }), [url])
+
+  const typed = useMemo(
+    () => coerceNumbers(state.rows, state.columns, numberFieldColumns(state.columns, mapping)),
+    [state.rows, state.columns, mapping],
+  )
+  const schema = useMemo(() => resolveSchema(typed.columns, typed.rows, mapping), [typed, mapping])
+
+  const value = useMemo(
+    () => ({ ...state, ...typed, url, source: { kind: source.kind, name: source.name }, schema, loadFile, loadBundled }),
+    [state, typed, url, source, schema, loadFile, loadBundled],
+  )
+
+  return <DatasetContext.Provider value={value}>{children}</DatasetContext.Provider>
+}
+
+export function useDataset() {
+  const ctx = useContext(DatasetContext)
+  if (!ctx) throw new Error('useDataset must be used within a DatasetProvider')
+  return ctx
+}
@@ -0,0 +1,137 @@
+import { createContext, useContext, useMemo } from 'react'
+import { useDataset } from './DatasetContext.jsx'
+import { useDashboard } from './DashboardContext.jsx'
+import { SELECTION_ACTIONS } from './selectionReducer.js'
+import { splitGenres } from '../utils/bookFields.js'
+import { imputeNumber } from '../utils/missing.js'
+import { buildSearchIndex, facetValue } from '../utils/search.js'
+import { inBrush } from '../utils/axes.js'
+import { inHeatmapCell, resolveCountry } from '../utils/transforms.js'
+import { HEATMAP_YEAR_BOUNDS } from '../config/viewOptions.js'
+import countryAliases from '../config/countryAliases.json'
+
+const SelectionContext = createContext(undefined)
+
+export function SelectionProvider({ children }) {
+  const { rows, schema } = useDataset()
+  const { selection, view, dispatch } = useDashboard()
+
+  const searchIndex = useMemo(() => buildSearchIndex(rows, schema.search), [rows, schema.search])
+
+  // Where each book sits on the heatmap, with missing values filled under the
+  // mean/median modes. The heatmap bins with it and the cell highlight reads
+  // it, so a cell's count, its book list and the highlight agree.
+  const missingMode = view.missing.mode
+  const heatmapPlacement = useMemo(() => {
+    const { year: yearKey, rating: ratingKey } = schema.fields
+    const fillYear = imputeNumber(rows, yearKey, missingMode)
+    return {
+      yearKey,
+      ratingKey,
+      fillYear: fillYear === null ? null : Math.round(fillYear),
+      fillRating: imputeNumber(rows, ratingKey, missingMode),
+      ...HEATMAP_YEAR_BOUNDS,
+    }
+  }, [rows, schema, missingMode])
+
+  const derived = useMemo(() => {
+    const { genre: genreKey, tags: tagsKey, country: countryKey, id: idKey } = schema.fields
+
+    const rowId = (r) => (idKey ? r[idKey] : rows.indexOf(r))
+
+    const matches = searchIndex(selection.query)
+    const facetEntries = Object.entries(selection.facets)
+    const searchedRows =
+      !matches && facetEntries.length === 0
+        ? rows
+        : rows.filter(
+            (r) => (!matches || matches.has(r)) && facetEntries.every(([column, values]) => values.includes(facetValue(r, column))),
+          )
+
+    // Each facet is counted against the search and every other facet, so its
+    // options show how many books picking them would add.
+    const facetCounts = {}
+    for (const column of schema.facets) {
+      const counts = new Map()
+      for (const r of rows) {
+        if (matches && !matches.has(r)) continue
+        if (!facetEntries.every(([c, values]) => c === column || values.includes(facetValue(r, c)))) continue
+        const v = facetValue(r, column)
+        counts.set(v, (counts.get(v) ?? 0) + 1)
+      }
+      facetCounts[column] = counts
+    }
+
+    // Genres, tags and countries each keep books that match any of the picked
+    // values. A chart that picks on one of these dimensions reads
+    // crossFiltered[dimension]: the books with every other pick applied, so
+    // its own picks do not hide the alternatives.
+    const dimensions = [
+      { name: 'genres', picked: new Set(selection.genres), valuesOf: genreKey ? (r) => splitGenres(r?.[genreKey]) : null },
+      { name: 'tags', picked: new Set(selection.tags), valuesOf: tagsKey ? (r) => splitGenres(r?.[tagsKey]) : null },
+      {
+        name: 'countries',
+        picked: new Set(selection.countries),
+        valuesOf: countryKey ? (r) => [resolveCountry(r?.[countryKey], countryAliases)] : null,
+      },
+    ]
+    const active = dimensions.filter((d) => d.picked.size > 0 && d.valuesOf)
+    const passes = (r, skip) => active.every((d) => d === skip || d.valuesOf(r).some((v) => d.picked.has(v)))
+    const filteredRows = active.length === 0 ? searchedRows : searchedRows.filter((r) => passes(r, null))
+    const crossFiltered = Object.fromEntries(
+      dimensions.map((d) => [d.name, active.some((a) => a !== d) ? searchedRows.filter((r) => passes(r, d)) : searchedRows]),
+    )
+
+    const cell = selection.cell
+    const { yearKey, ratingKey } = heatmapPlacement
+    const highlighted = cell && yearKey && ratingKey ? new Set(filteredRows.filter((r) => inHeatmapCell(r, cell, heatmapPlacement))) : null
+
+    // Books picked with the scatterplot lasso, by id.
+    const lassoIds = new Set(selection.lasso)
+    const lassoed = lassoIds.size > 0 ? new Set(rows.filter((r) => lassoIds.has(rowId(r)))) : null
+
+    const brushEntries = Object.entries(selection.brushes)
+    let brushedRows = null
+    let brushedIds = null
+    if (brushEntries.length > 0 || lassoed) {
+      brushedRows = filteredRows.filter(
+        (r) => (!lassoed || lassoed.has(r)) && brushEntries.every(([dim, brush]) => inBrush(r, dim, brush)),
+      )
+      brushedIds = brushedRows.map(rowId)
+    }
+
+    const selectedBook =
+      selection.book === null ? null : ((idKey ? rows.find((r) => r[idKey] === selection.book) : rows[selection.book]) ?? null)
+
+    return { genreKey, searchedRows, facetCounts, crossFiltered, filteredRows, highlighted, lassoed, brushedRows, brushedIds, rowId, selectedBook }
+  }, [rows, schema, selection, searchIndex, heatmapPlacement])
+
+  const value = useMemo(
+    () => ({
+      selection,
+      dispatch,
+      ...derived,
+      heatmapPlacement,
+      hasSelection:
+        selection.genres.length > 0 ||
+        selection.tags.length > 0 ||
+        selection.countries.length > 0 ||
+        selection.cell !== null ||
+        Object.keys(selection.brushes).length > 0 ||
+        selection.lasso.length > 0 ||
+        selection.query.trim() !== '' ||
+        Object.keys(selection.facets).length > 0,
+      clear: () => dispatch({ type: SELECTION_ACTIONS.CLEAR }),
+      selectBook: (row) => dispatch({ type: SELECTION_ACTIONS.SELECT_BOOK, id: row ? derived.rowId(row) : null }),
+    }),
+    [selection, dispatch, derived, heatmapPlacement],
+  )
+
+  return <SelectionContext.Provider value={value}>{children}</SelectionContext.Provider>
+}
+
+export function useSelection() {
+  const ctx = useContext(SelectionContext)
+  if (!ctx) throw new Error('useSelection must be used within a SelectionProvider')
+  return ctx
+}
@@ -0,0 +1,26 @@
+import { createContext, useContext, useMemo } from 'react'
+import { useDashboard } from './DashboardContext.jsx'
+import { VIEW_ACTIONS } from './viewReducer.js'
+
+const ViewContext = createContext(undefined)
+
+export function ViewProvider({ children }) {
+  const { view, dispatch } = useDashboard()
+
+  const value = useMemo(
+    () => ({
+      view,
+      dispatch,
+      setOption: (chart, key, value, coalesce) => dispatch({ type: VIEW_ACTIONS.SET_OPTION, chart, key, value, coalesce }),
+    }),
+    [view, dispatch],
+  )
+
+  return <ViewContext.Provider value={value}>{children}</ViewContext.Provider>
+}
+
+export function useView() {
+  const ctx = useContext(ViewContext)
+  if (!ctx) throw new Error('useView must be used within a ViewProvider')
+  return ctx
+}
@@ -0,0 +1,76 @@
+import { initialSelection, selectionReducer } from './selectionReducer.js'
+import { initialView, viewReducer } from './viewReducer.js'
+
+export const DASHBOARD_ACTIONS = {
+  UNDO: 'dashboard/undo',
+  REDO: 'dashboard/redo',
+  RESTORE: 'dashboard/restore',
+  RESET: 'dashboard/reset',
+}
+
+const HISTORY_LIMIT = 100
+
+export const initialDashboard = {
+  past: [],
+  present: { selection: initialSelection, view: initialView },
+  future: [],
+  coalesce: null,
+}
+
+function apply(present, action) {
+  const selection = selectionReducer(present.selection, action)
+  const view = viewReducer(present.view, action)
+  return selection === present.selection && view === present.view ? present : { selection, view }
+}
+
+// Selection and view actions are recorded as undo steps. Consecutive actions
+// that share a `coalesce` key (e.g. typing into a text field) collapse into one.
+export function dashboardReducer(state, action) {
+  switch (action.type) {
+    case DASHBOARD_ACTIONS.UNDO: {
+      if (state.past.length === 0) return state
+      return {
+        past: state.past.slice(0, -1),
+        present: state.past[state.past.length - 1],
+        future: [state.present, ...state.future],
+        coalesce: null,
+      }
+    }
+    case DASHBOARD_ACTIONS.REDO: {
+      if (state.future.length === 0) return state
+      return {
+        past: [...state.past, state.present],
+        present: state.future[0],
+        future: state.future.slice(1),
+        coalesce: null,
+      }
+    }
+    // Browser navigation is recorded as one more step, so Undo goes back to the
+    // state before it and Redo never leads somewhere the URL does not. With no
+    // history yet (the first load) there is nothing to keep in step.
+    case DASHBOARD_ACTIONS.RESTORE: {
+      const present = { selection: { ...initialSelection, ...action.selection }, view: action.view }
+      if (state.past.length === 0 && state.future.length === 0) return { ...state, present, coalesce: null }
+      return {
+        past: [...state.past, state.present].slice(-HISTORY_LIMIT),
+        present,
+        future: [],
+        coalesce: null,
+      }
+    }
+    case DASHBOARD_ACTIONS.RESET:
+      return { ...initialDashboard, present: { ...state.present, selection: initialSelection } }
+    default: {
+      const present = apply(state.present, action)
+      if (present === state.present) return state
+      const coalesce = action.coalesce ?? null
+      if (coalesce !== null && coalesce === state.coalesce) return { ...state, present }
+      return {
+        past: [...state.past, state.present].slice(-HISTORY_LIMIT),
+        present,
+        future: [],
+        coalesce,
+      }
+    }
+  }
+}
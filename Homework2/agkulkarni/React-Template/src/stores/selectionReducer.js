@@ -0,0 +1,84 @@
+import { VIEW_ACTIONS } from './viewReducer.js'
+
+export const SELECTION_ACTIONS = {
+  TOGGLE_GENRE: 'selection/toggleGenre',
+  SET_GENRES: 'selection/setGenres',
+  TOGGLE_TAG: 'selection/toggleTag',
+  TOGGLE_COUNTRY: 'selection/toggleCountry',
+  TOGGLE_CELL: 'selection/toggleCell',
+  SET_BRUSH: 'selection/setBrush',
+  CLEAR_BRUSHES: 'selection/clearBrushes',
+  SET_LASSO: 'selection/setLasso',
+  SELECT_BOOK: 'selection/selectBook',
+  SET_QUERY: 'selection/setQuery',
+  SET_FACET: 'selection/setFacet',
+  CLEAR: 'selection/clear',
+}
+
+export const initialSelection = { genres: [], tags: [], countries: [], cell: null, brushes: {}, lasso: [], book: null, query: '', facets: {} }
+
+function sameCell(a, b) {
+  return (
+    !!a && !!b && a.year[0] === b.year[0] && a.year[1] === b.year[1] && a.rating[0] === b.rating[0] && a.rating[1] === b.rating[1]
+  )
+}
+
+export function selectionReducer(state, action) {
+  switch (action.type) {
+    case SELECTION_ACTIONS.TOGGLE_GENRE: {
+      const has = state.genres.includes(action.genre)
+      const genres = has ? state.genres.filter((g) => g !== action.genre) : [...state.genres, action.genre]
+      return { ...state, genres }
+    }
+    case SELECTION_ACTIONS.SET_GENRES:
+      return { ...state, genres: [...action.genres] }
+    case SELECTION_ACTIONS.TOGGLE_TAG: {
+      const has = state.tags.includes(action.tag)
+      const tags = has ? state.tags.filter((t) => t !== action.tag) : [...state.tags, action.tag]
+      return { ...state, tags }
+    }
+    case SELECTION_ACTIONS.TOGGLE_COUNTRY: {
+      const has = state.countries.includes(action.country)
+      const countries = has ? state.countries.filter((c) => c !== action.country) : [...state.countries, action.country]
+      return { ...state, countries }
+    }
+    case SELECTION_ACTIONS.TOGGLE_CELL: {
+      const { year, rating, label } = action.cell
+      const cell = sameCell(state.cell, action.cell) ? null : { year: [...year], rating: [...rating], label }
+      return { ...state, cell }
+    }
+    case SELECTION_ACTIONS.SET_BRUSH: {
+      const brushes = { ...state.brushes }
+      if (Array.isArray(action.range)) brushes[action.dim] = [action.range[0], action.range[1]]
+      else if (action.range) brushes[action.dim] = { values: [...action.range.values] }
+      else delete brushes[action.dim]
+      return { ...state, brushes }
+    }
+    // A brush on a removed axis would keep filtering with nothing on screen to
+    // undo it, so it goes in the same undo step as the axis.
+    case VIEW_ACTIONS.REMOVE_AXIS: {
+      if (!state.brushes[action.dim]) return state
+      const brushes = { ...state.brushes }
+      delete brushes[action.dim]
+      return { ...state, brushes }
+    }
+    case SELECTION_ACTIONS.CLEAR_BRUSHES:
+      return { ...state, brushes: {} }
+    case SELECTION_ACTIONS.SET_LASSO:
+      return { ...state, lasso: [...action.ids] }
+    case SELECTION_ACTIONS.SELECT_BOOK:
+      return { ...state, book: action.id ?? null }
+    case SELECTION_ACTIONS.SET_QUERY:
+      return { ...state, query: action.query }
+    case SELECTION_ACTIONS.SET_FACET: {
+      const facets = { ...state.facets }
+      if (action.values.length > 0) facets[action.column] = [...action.values]
+      else delete facets[action.column]
+      return { ...state, facets }
+    }
+    case SELECTION_ACTIONS.CLEAR:
+      return initialSelection
+    default:
+      return state
+  }
+}
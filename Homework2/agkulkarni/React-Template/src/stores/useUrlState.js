@@ -0,0 +1,64 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { useDataset } from './DatasetContext.jsx'
+import { useDashboard } from './DashboardContext.jsx'
+import { useSelection } from './SelectionContext.jsx'
+import { DASHBOARD_ACTIONS } from './dashboardReducer.js'
+import { parseUrlState, serializeUrlState } from '../utils/urlState.js'
+
+const currentQuery = () => window.location.search.replace(/^\?/, '')
+
+// Keeps the selection and view stores in sync with the query string: restores
+// them whenever a dataset finishes loading or the user navigates back/forward,
+// and pushes a history entry for every later change.
+export function useUrlState() {
+  const { status, rows, columns, schema } = useDataset()
+  const { selection, view, coalesce, dispatch } = useDashboard()
+  const { rowId } = useSelection()
+  const [issues, setIssues] = useState([])
+
+  const appliedRows = useRef(null)
+  const pendingView = useRef(null)
+  const lastCoalesce = useRef(null)
+
+  const restore = useCallback(() => {
+    const parsed = parseUrlState(window.location.search, { rows, columns, schema, rowId })
+    pendingView.current = parsed.view
+    dispatch({ type: DASHBOARD_ACTIONS.RESTORE, selection: parsed.selection, view: parsed.view })
+    setIssues(parsed.issues)
+  }, [rows, columns, schema, rowId, dispatch])
+
+  useEffect(() => {
+    if (status !== 'ready' || appliedRows.current === rows) return
+    appliedRows.current = rows
+    restore()
+  }, [status, rows, restore])
+
+  useEffect(() => {
+    window.addEventListener('popstate', restore)
+    return () => window.removeEventListener('popstate', restore)
+  }, [restore])
+
+  useEffect(() => {
+    if (status !== 'ready' || appliedRows.current !== rows) return
+
+    // Skip renders that still show the state from before a restore; once it has
+    // landed, only rewrite the current entry to drop any ignored parameters.
+    let replace = false
+    if (pendingView.current) {
+      if (view !== pendingView.current) return
+      pendingView.current = null
+      replace = true
+    }
+    // Keystrokes that undo coalesces into one step also share one history entry.
+    if (coalesce !== null && coalesce === lastCoalesce.current) replace = true
+    lastCoalesce.current = coalesce
+
+    const query = serializeUrlState(selection, view)
+    if (query === currentQuery()) return
+    const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`
+    if (replace) window.history.replaceState(null, '', url)
+    else window.history.pushState(null, '', url)
+  }, [status, rows, selection, view, coalesce])
+
+  return { issues, dismissIssues: () => setIssues([]) }
+}
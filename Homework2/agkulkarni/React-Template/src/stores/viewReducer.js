@@ -0,0 +1,60 @@
+import { DEFAULT_BREAKPOINTS } from '../config/viewOptions.js'
+
+export const VIEW_ACTIONS = {
+  SET_OPTION: 'view/setOption',
+  SET_AXIS_ORDER: 'view/setAxisOrder',
+  REMOVE_AXIS: 'view/removeAxis',
+  TOGGLE_FLIP: 'view/toggleFlip',
+  SET_COLOR_BY: 'view/setColorBy',
+  TOGGLE_GROUP: 'view/toggleGroup',
+}
+
+export const initialView = {
+  bar: { topN: 10, sortBy: 'count', measure: 'count', credit: 'full' },
+  heatmap: {
+    yearBin: 'decade',
+    breakpoints: DEFAULT_BREAKPOINTS,
+    ratingBin: 0.5,
+    normalize: 'count',
+    scaleMode: 'linear',
+    palette: 'blues',
+    zoom: null,
+  },
+  pc: { order: [], flipped: [], catOrder: 'frequency', colorBy: '', hidden: [], lineMode: 'lines' },
+  scatter: { x: '', y: '', size: '', colorBy: '', hidden: [], trend: 'none', drag: 'lasso' },
+  network: { minWeight: 2 },
+  map: { measure: 'count' },
+  adaptation: { sortBy: 'lag' },
+  missing: { mode: 'exclude' },
+  motion: { mode: 'system' },
+}
+
+export function viewReducer(state, action) {
+  switch (action.type) {
+    case VIEW_ACTIONS.SET_OPTION:
+      return { ...state, [action.chart]: { ...state[action.chart], [action.key]: action.value } }
+    case VIEW_ACTIONS.SET_AXIS_ORDER:
+      return { ...state, pc: { ...state.pc, order: [...action.order] } }
+    case VIEW_ACTIONS.REMOVE_AXIS:
+      return { ...state, pc: { ...state.pc, order: action.order.filter((d) => d !== action.dim) } }
+    case VIEW_ACTIONS.TOGGLE_FLIP: {
+      const { flipped } = state.pc
+      const next = flipped.includes(action.dim) ? flipped.filter((d) => d !== action.dim) : [...flipped, action.dim]
+      return { ...state, pc: { ...state.pc, flipped: next } }
+    }
+    // Hidden legend groups belong to one coloring, so they reset with it.
+    // Both act on the parallel coordinates unless another chart is named.
+    case VIEW_ACTIONS.SET_COLOR_BY: {
+      const chart = action.chart ?? 'pc'
+      return { ...state, [chart]: { ...state[chart], colorBy: action.column, hidden: [] } }
+    }
+    case VIEW_ACTIONS.TOGGLE_GROUP: {
+      const chart = action.chart ?? 'pc'
+      const { hidden } = state[chart]
+      const next = hidden.includes(action.group) ? hidden.filter((g) => g !== action.group) : [...hidden, action.group]
+      return { ...state, [chart]: { ...state[chart], hidden: next } }
+    }
+    default:
+      return state
+  }
+}
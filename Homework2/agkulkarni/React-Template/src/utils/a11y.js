@@ -0,0 +1,21 @@
+// Index of the next item for Arrow/Home/End keys in a one-dimensional list, or
+// null when the key is not a navigation key.
+export function stepIndex(key, index, count) {
+  if (count === 0) return null
+  if (key === 'ArrowRight' || key === 'ArrowDown') return Math.min(count - 1, index + 1)
+  if (key === 'ArrowLeft' || key === 'ArrowUp') return Math.max(0, index - 1)
+  if (key === 'Home') return 0
+  if (key === 'End') return count - 1
+  return null
+}
+
+export function isActivationKey(key) {
+  return key === 'Enter' || key === ' '
+}
+
+// Fake pointer position at the top centre of a mark, for placing tooltips when
+// the mark is focused from the keyboard.
+export function anchorOf(node) {
+  const rect = node.getBoundingClientRect()
+  return { clientX: rect.left + rect.width / 2, clientY: rect.top }
+}
@@ -0,0 +1,53 @@
+import { toNumber } from './bookFields.js'
+
+export const MAX_CATEGORIES = 100
+
+// Classifies every column that can be a ParallelCoords axis: numbers, booleans,
+// and text columns with few enough distinct values to read as categories.
+// Categories are listed most frequent first.
+export function describeAxes(rows, columns, excluded = new Set()) {
+  const out = new Map()
+  for (const { key, type } of columns) {
+    if (excluded.has(key)) continue
+    const counts = new Map()
+    let present = 0
+    for (const r of rows) {
+      const v = r?.[key]
+      if (v == null || v === '') continue
+      present += 1
+      if (type !== 'number') counts.set(String(v), (counts.get(String(v)) ?? 0) + 1)
+    }
+    if (present === 0) continue
+
+    if (type === 'number') {
+      out.set(key, { key, kind: 'number', present })
+    } else if (type === 'boolean') {
+      out.set(key, { key, kind: 'boolean', present, categories: ['false', 'true'], counts })
+    } else if (counts.size >= 2 && counts.size <= MAX_CATEGORIES && counts.size <= present / 2) {
+      const categories = Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b))
+      out.set(key, { key, kind: 'category', present, categories, counts })
+    }
+  }
+  return out
+}
+
+export function axisValue(row, dim, kind) {
+  const v = row?.[dim]
+  if (v == null || v === '') return null
+  if (kind === 'number') return typeof v === 'number' && Number.isFinite(v) ? v : null
+  return String(v)
+}
+
+// Numeric brushes are [lo, hi] ranges, categorical ones { values: [...] }.
+export function isCategoryBrush(brush) {
+  return !Array.isArray(brush)
+}
+
+export function inBrush(row, dim, brush) {
+  if (isCategoryBrush(brush)) {
+    const v = row?.[dim]
+    return v != null && v !== '' && brush.values.includes(String(v))
+  }
+  const v = toNumber(row?.[dim])
+  return v !== null && v >= brush[0] && v <= brush[1]
+}
@@ -0,0 +1,67 @@
+import { MISSING_LABEL } from './missing.js'
+
+// Bucket for rows with no value when missing data is shown rather than dropped.
+export const MISSING_BIN = [null, null]
+
+export const YEAR_BIN_MODES = {
+  year: 1,
+  five: 5,
+  decade: 10,
+}
+
+function roundBin(v) {
+  return Math.round(v * 1000) / 1000
+}
+
+export function parseBreakpoints(text) {
+  const values = String(text ?? '')
+    .split(/[\s,;]+/)
+    .filter(Boolean)
+    .map(Number)
+  if (values.some((v) => !Number.isFinite(v))) return null
+  const sorted = Array.from(new Set(values)).sort((a, b) => a - b)
+  return sorted.length >= 2 ? sorted : null
+}
+
+export function yearBinner(mode, breakpoints = null) {
+  if (mode === 'custom') {
+    if (!breakpoints || breakpoints.length < 2) return () => null
+    return (year) => {
+      for (let i = 0; i < breakpoints.length - 1; i += 1) {
+        if (year >= breakpoints[i] && year < breakpoints[i + 1]) return [breakpoints[i], breakpoints[i + 1]]
+      }
+      return null
+    }
+  }
+  const size = YEAR_BIN_MODES[mode] ?? 10
+  return (year) => {
+    const start = Math.floor(year / size) * size
+    return [start, start + size]
+  }
+}
+
+export function ratingBinner(size) {
+  return (rating) => {
+    const start = roundBin(Math.floor(rating / size + 1e-9) * size)
+    return [start, roundBin(start + size)]
+  }
+}
+
+export function yearBinLabel(bin) {
+  if (bin === MISSING_BIN) return MISSING_LABEL
+  const [lo, hi] = bin
+  if (hi - lo === 1) return String(lo)
+  if (hi - lo === 10 && lo % 10 === 0) return `${lo}s`
+  return `${lo}–${hi - 1}`
+}
+
+export function ratingBinLabel(bin) {
+  if (bin === MISSING_BIN) return MISSING_LABEL
+  const [lo, hi] = bin
+  const digits = hi - lo < 0.5 ? 2 : 1
+  return `${lo.toFixed(digits)}–${hi.toFixed(digits)}`
+}
+
+export function inRange(v, [lo, hi]) {
+  return v >= lo && v < hi
+}
@@ -0,0 +1,20 @@
+export function toNumber(v) {
+  if (v == null || v === '') return null
+  const n = typeof v === 'number' ? v : Number(v)
+  return Number.isFinite(n) ? n : null
+}
+
+export function splitGenres(raw) {
+  if (raw == null || raw === '') return []
+  return String(raw)
+    .split(',')
+    .map((d) => d.trim())
+    .filter(Boolean)
+}
+
+export function columnLabel(key) {
+  return String(key)
+    .replace(/_/g, ' ')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/^\w/, (c) => c.toUpperCase())
+}
@@ -0,0 +1,132 @@
+import * as d3 from 'd3'
+
+function cleanKey(key) {
+  return String(key).replace(/^\uFEFF/, '').trim()
+}
+
+function parseBoolean(v) {
+  const lower = String(v).trim().toLowerCase()
+  if (lower === 'true') return true
+  if (lower === 'false') return false
+  return null
+}
+
+function inferColumnType(rows, key) {
+  let seen = 0
+  let numeric = true
+  let boolean = true
+  for (const r of rows) {
+    const v = r[key]
+    if (v == null || v === '') continue
+    seen += 1
+    if (numeric && !Number.isFinite(Number(v))) numeric = false
+    if (boolean && parseBoolean(v) === null) boolean = false
+    if (!numeric && !boolean) break
+  }
+  if (seen === 0) return 'string'
+  if (boolean) return 'boolean'
+  if (numeric) return 'number'
+  return 'string'
+}
+
+function convertValue(v, type) {
+  if (v == null) return null
+  const s = String(v).trim()
+  if (s === '') return null
+  if (type === 'number') return Number(s)
+  if (type === 'boolean') return parseBoolean(s)
+  return s
+}
+
+export function normalizeRows(rawRows) {
+  if (!rawRows || rawRows.length === 0) return { rows: [], columns: [] }
+
+  const rawKeys = rawRows.columns ?? Object.keys(rawRows[0])
+  const columns = rawKeys.map((raw) => {
+    const key = cleanKey(raw)
+    return { key, raw, type: inferColumnType(rawRows, raw) }
+  })
+
+  const rows = rawRows.map((r) => {
+    const out = {}
+    for (const c of columns) out[c.key] = convertValue(r[c.raw], c.type)
+    return out
+  })
+
+  return { rows, columns: columns.map(({ key, type }) => ({ key, type })) }
+}
+
+// Reads the given columns as numbers whatever type they were inferred as.
+// Values that do not parse become null and are counted on the column as
+// invalid, so one stray word does not turn a whole year column into text.
+export function coerceNumbers(rows, columns, keys) {
+  const targets = columns.filter((c) => keys.includes(c.key) && c.type !== 'number')
+  if (targets.length === 0) return { rows, columns }
+
+  const invalid = new Map(targets.map((c) => [c.key, 0]))
+  const coerced = rows.map((r) => {
+    const out = { ...r }
+    for (const { key } of targets) {
+      const v = r[key]
+      if (v == null) continue
+      const n = typeof v === 'boolean' ? NaN : Number(String(v).trim())
+      if (Number.isFinite(n)) {
+        out[key] = n
+      } else {
+        out[key] = null
+        invalid.set(key, invalid.get(key) + 1)
+      }
+    }
+    return out
+  })
+
+  return {
+    rows: coerced,
+    columns: columns.map((c) => (invalid.has(c.key) ? { ...c, type: 'number', invalid: invalid.get(c.key) } : c)),
+  }
+}
+
+function flattenJsonValue(v) {
+  if (v == null) return ''
+  if (Array.isArray(v)) return v.map(flattenJsonValue).join(',')
+  if (typeof v === 'object') return JSON.stringify(v)
+  return String(v)
+}
+
+function parseJsonRows(text) {
+  const parsed = JSON.parse(text)
+  const list = Array.isArray(parsed) ? parsed : (parsed?.data ?? parsed?.rows)
+  if (!Array.isArray(list)) throw new Error('JSON must be an array of records or an object with a "data" array.')
+
+  const keys = []
+  const seen = new Set()
+  for (const rec of list) {
+    if (!rec || typeof rec !== 'object' || Array.isArray(rec)) throw new Error('Every JSON record must be an object.')
+    for (const k of Object.keys(rec)) {
+      if (!seen.has(k)) {
+        seen.add(k)
+        keys.push(k)
+      }
+    }
+  }
+
+  const rows = list.map((rec) => Object.fromEntries(keys.map((k) => [k, flattenJsonValue(rec[k])])))
+  rows.columns = keys
+  return rows
+}
+
+export function detectFormat(name = '', type = '') {
+  const lower = name.toLowerCase()
+  if (lower.endsWith('.json') || type === 'application/json') return 'json'
+  if (lower.endsWith('.tsv') || lower.endsWith('.tab') || type === 'text/tab-separated-values') return 'tsv'
+  if (lower.endsWith('.csv') || type === 'text/csv') return 'csv'
+  return null
+}
+
+export function parseDatasetText(text, format) {
+  const body = String(text).replace(/^\uFEFF/, '')
+  if (format === 'json') return normalizeRows(parseJsonRows(body))
+  if (format === 'tsv') return normalizeRows(d3.tsvParse(body))
+  if (format === 'csv') return normalizeRows(d3.csvParse(body))
+  throw new Error(`Unsupported file format${format ? `: ${format}` : ''}. Use CSV, TSV or JSON.`)
+}
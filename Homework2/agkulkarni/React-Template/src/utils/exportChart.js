@@ -0,0 +1,129 @@
+import * as d3 from 'd3'
+
+const SVG_NS = 'http://www.w3.org/2000/svg'
+
+const STYLE_PROPS = [
+  'fill',
+  'fill-opacity',
+  'stroke',
+  'stroke-width',
+  'stroke-opacity',
+  'stroke-dasharray',
+  'opacity',
+  'font-family',
+  'font-size',
+  'font-weight',
+  'text-anchor',
+  'dominant-baseline',
+  'visibility',
+  'display',
+]
+
+function inlineStyles(source, target) {
+  const computed = window.getComputedStyle(source)
+  const declarations = STYLE_PROPS.map((p) => [p, computed.getPropertyValue(p)])
+    .filter(([, v]) => v !== '' && v != null)
+    .map(([p, v]) => `${p}:${v}`)
+  if (declarations.length > 0) target.setAttribute('style', declarations.join(';'))
+  target.removeAttribute('class')
+  const sourceChildren = source.children
+  const targetChildren = target.children
+  for (let i = 0; i < sourceChildren.length; i += 1) inlineStyles(sourceChildren[i], targetChildren[i])
+}
+
+function viewBoxOf(svg) {
+  const [x, y, width, height] = (svg.getAttribute('viewBox') ?? '').split(/[\s,]+/).map(Number)
+  if ([x, y, width, height].every(Number.isFinite)) return { width, height }
+  const rect = svg.getBoundingClientRect()
+  return { width: rect.width, height: rect.height }
+}
+
+// Lines drawn on a canvas underneath the SVG are embedded as an image so that the
+// exported figure matches what is on screen.
+function embedCanvas(canvas, clone, { width, height }) {
+  const cw = canvas.clientWidth
+  const ch = canvas.clientHeight
+  if (!cw || !ch) return
+  const k = Math.min(cw / width, ch / height)
+  const image = document.createElementNS(SVG_NS, 'image')
+  image.setAttribute('x', String(-(cw - width * k) / 2 / k))
+  image.setAttribute('y', String(-(ch - height * k) / 2 / k))
+  image.setAttribute('width', String(cw / k))
+  image.setAttribute('height', String(ch / k))
+  image.setAttribute('preserveAspectRatio', 'none')
+  image.setAttribute('href', canvas.toDataURL('image/png'))
+  clone.insertBefore(image, clone.firstChild)
+}
+
+export function serializeChart(container) {
+  const svg = container?.querySelector('svg')
+  if (!svg) return null
+  const size = viewBoxOf(svg)
+  const clone = svg.cloneNode(true)
+  inlineStyles(svg, clone)
+  clone.setAttribute('xmlns', SVG_NS)
+  clone.setAttribute('xmlns:xlink', 'http://www.w3.org/1999/xlink')
+  clone.setAttribute('width', String(size.width))
+  clone.setAttribute('height', String(size.height))
+
+  const background = document.createElementNS(SVG_NS, 'rect')
+  background.setAttribute('width', '100%')
+  background.setAttribute('height', '100%')
+  background.setAttribute('fill', '#ffffff')
+
+  const canvas = container.querySelector('canvas')
+  if (canvas) embedCanvas(canvas, clone, size)
+  clone.insertBefore(background, clone.firstChild)
+
+  const text = `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(clone)}`
+  return { text, ...size }
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  document.body.appendChild(a)
+  a.click()
+  a.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+export function exportSvg(container, filename) {
+  const chart = serializeChart(container)
+  if (!chart) return
+  downloadBlob(new Blob([chart.text], { type: 'image/svg+xml;charset=utf-8' }), `${filename}.svg`)
+}
+
+export function exportPng(container, filename, scale = 2) {
+  const chart = serializeChart(container)
+  if (!chart) return Promise.resolve()
+  const url = URL.createObjectURL(new Blob([chart.text], { type: 'image/svg+xml;charset=utf-8' }))
+  return new Promise((resolve, reject) => {
+    const img = new Image()
+    img.onload = () => {
+      const canvas = document.createElement('canvas')
+      canvas.width = Math.round(chart.width * scale)
+      canvas.height = Math.round(chart.height * scale)
+      const ctx = canvas.getContext('2d')
+      ctx.scale(scale, scale)
+      ctx.drawImage(img, 0, 0, chart.width, chart.height)
+      URL.revokeObjectURL(url)
+      canvas.toBlob((blob) => {
+        if (blob) downloadBlob(blob, `${filename}@${scale}x.png`)
+        resolve()
+      }, 'image/png')
+    }
+    img.onerror = (err) => {
+      URL.revokeObjectURL(url)
+      reject(err)
+    }
+    img.src = url
+  })
+}
+
+export function exportCsv(rows, filename) {
+  if (!rows || rows.length === 0) return
+  downloadBlob(new Blob([d3.csvFormat(rows)], { type: 'text/csv;charset=utf-8' }), `${filename}.csv`)
+}
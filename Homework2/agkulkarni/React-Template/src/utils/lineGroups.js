@@ -0,0 +1,70 @@
+import * as d3 from 'd3'
+import { splitGenres, toNumber } from './bookFields.js'
+
+export const MAX_GROUPS = 9
+export const MISSING_GROUP = '__missing'
+export const OTHER_GROUP = '__other'
+const NUMERIC_BINS = 5
+
+const MISSING_COLOR = '#b0b6bd'
+const OTHER_COLOR = '#8c8c8c'
+
+// Splits rows into colored groups for a "color by" column. Categorical
+// columns keep their most common values and fold the rest into "Other";
+// numeric columns get a sequential color per line and equal-width bins as
+// the groups the legend can toggle. Multi-genre books go by their first genre.
+export function buildLineGroups(rows, colorBy, { kind, genreKey }) {
+  if (!colorBy) return null
+
+  if (kind === 'number') {
+    const [lo, hi] = d3.extent(rows, (r) => toNumber(r?.[colorBy]))
+    if (lo == null) return null
+    const bin = d3
+      .scaleQuantize()
+      .domain(lo === hi ? [lo - 1, hi + 1] : [lo, hi])
+      .nice(NUMERIC_BINS)
+      .range(d3.range(NUMERIC_BINS))
+    const color = d3.scaleSequential(d3.interpolateViridis).domain(bin.domain())
+    const format = d3.format('~s')
+    const groups = d3.range(NUMERIC_BINS).map((i) => {
+      const [from, to] = bin.invertExtent(i)
+      return { key: `b${i}`, label: `${format(from)}–${format(to)}`, color: color((from + to) / 2) }
+    })
+    const valueOf = (r) => toNumber(r?.[colorBy])
+    return finish(rows, groups, {
+      groupOf: (r) => (valueOf(r) === null ? MISSING_GROUP : `b${bin(valueOf(r))}`),
+      colorOf: (r) => (valueOf(r) === null ? MISSING_COLOR : color(valueOf(r))),
+    })
+  }
+
+  const valueOf =
+    colorBy === genreKey
+      ? (r) => splitGenres(r?.[colorBy])[0] ?? null
+      : (r) => (r?.[colorBy] == null || r[colorBy] === '' ? null : String(r[colorBy]))
+  const counts = d3.rollup(rows, (v) => v.length, valueOf)
+  counts.delete(null)
+  const top = Array.from(counts.keys())
+    .sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b))
+    .slice(0, counts.size > MAX_GROUPS + 1 ? MAX_GROUPS : MAX_GROUPS + 1)
+  const keep = new Set(top)
+  const label = (v) => (kind === 'boolean' ? (v === 'true' ? 'Yes' : 'No') : v)
+  const groups = top.map((v, i) => ({ key: v, label: label(v), color: d3.schemeTableau10[i % 10] }))
+  if (counts.size > keep.size) groups.push({ key: OTHER_GROUP, label: 'Other', color: OTHER_COLOR })
+  const byKey = new Map(groups.map((g) => [g.key, g]))
+
+  const groupOf = (r) => {
+    const v = valueOf(r)
+    if (v === null) return MISSING_GROUP
+    return keep.has(v) ? v : OTHER_GROUP
+  }
+  return finish(rows, groups, { groupOf, colorOf: (r) => byKey.get(groupOf(r))?.color ?? MISSING_COLOR })
+}
+
+function finish(rows, groups, { groupOf, colorOf }) {
+  const hasMissing = rows.some((r) => groupOf(r) === MISSING_GROUP)
+  return {
+    groups: hasMissing ? [...groups, { key: MISSING_GROUP, label: 'Missing', color: MISSING_COLOR }] : groups,
+    groupOf,
+    colorOf,
+  }
+}
@@ -0,0 +1,98 @@
+function segmentDistance(px, py, x0, y0, x1, y1) {
+  const dx = x1 - x0
+  const dy = y1 - y0
+  const len2 = dx * dx + dy * dy
+  let t = len2 > 0 ? ((px - x0) * dx + (py - y0) * dy) / len2 : 0
+  t = Math.max(0, Math.min(1, t))
+  const ex = px - (x0 + t * dx)
+  const ey = py - (y0 + t * dy)
+  return Math.sqrt(ex * ex + ey * ey)
+}
+
+// Uniform grid over polyline segments, stored CSR-style in typed arrays so that
+// hover hit-testing stays cheap even with tens of thousands of lines.
+export function buildLineIndex(polylines, { cellSize = 8 } = {}) {
+  let minX = Infinity
+  let minY = Infinity
+  let maxX = -Infinity
+  let maxY = -Infinity
+  for (const pts of polylines) {
+    for (let j = 0; j < pts.length; j += 2) {
+      if (pts[j] < minX) minX = pts[j]
+      if (pts[j] > maxX) maxX = pts[j]
+      if (pts[j + 1] < minY) minY = pts[j + 1]
+      if (pts[j + 1] > maxY) maxY = pts[j + 1]
+    }
+  }
+  if (!Number.isFinite(minX)) return { find: () => -1 }
+
+  const cols = Math.floor((maxX - minX) / cellSize) + 1
+  const rows = Math.floor((maxY - minY) / cellSize) + 1
+  const cellOf = (x, y) => Math.floor((y - minY) / cellSize) * cols + Math.floor((x - minX) / cellSize)
+
+  const walk = (pts, fn) => {
+    let last = -1
+    for (let j = 0; j + 3 < pts.length; j += 2) {
+      const x0 = pts[j]
+      const y0 = pts[j + 1]
+      const x1 = pts[j + 2]
+      const y1 = pts[j + 3]
+      const steps = Math.max(1, Math.ceil(Math.hypot(x1 - x0, y1 - y0) / (cellSize / 2)))
+      for (let s = 0; s <= steps; s += 1) {
+        const t = s / steps
+        const cell = cellOf(x0 + t * (x1 - x0), y0 + t * (y1 - y0))
+        if (cell !== last) {
+          fn(cell)
+          last = cell
+        }
+      }
+    }
+  }
+
+  const offsets = new Int32Array(cols * rows + 1)
+  polylines.forEach((pts) => walk(pts, (cell) => (offsets[cell + 1] += 1)))
+  for (let c = 1; c < offsets.length; c += 1) offsets[c] += offsets[c - 1]
+
+  const items = new Int32Array(offsets[offsets.length - 1])
+  const cursor = offsets.slice(0, -1)
+  polylines.forEach((pts, i) =>
+    walk(pts, (cell) => {
+      items[cursor[cell]] = i
+      cursor[cell] += 1
+    }),
+  )
+
+  const seen = new Int32Array(polylines.length)
+  let stamp = 0
+
+  const find = (x, y, radius = 5) => {
+    stamp += 1
+    const c0 = Math.max(0, Math.floor((x - radius - minX) / cellSize))
+    const c1 = Math.min(cols - 1, Math.floor((x + radius - minX) / cellSize))
+    const r0 = Math.max(0, Math.floor((y - radius - minY) / cellSize))
+    const r1 = Math.min(rows - 1, Math.floor((y + radius - minY) / cellSize))
+    let best = -1
+    let bestDist = radius
+    for (let r = r0; r <= r1; r += 1) {
+      for (let c = c0; c <= c1; c += 1) {
+        const cell = r * cols + c
+        for (let k = offsets[cell]; k < offsets[cell + 1]; k += 1) {
+          const i = items[k]
+          if (seen[i] === stamp) continue
+          seen[i] = stamp
+          const pts = polylines[i]
+          for (let j = 0; j + 3 < pts.length; j += 2) {
+            const dist = segmentDistance(x, y, pts[j], pts[j + 1], pts[j + 2], pts[j + 3])
+            if (dist <= bestDist) {
+              bestDist = dist
+              best = i
+            }
+          }
+        }
+      }
+    }
+    return best
+  }
+
+  return { find }
+}
@@ -0,0 +1,41 @@
+import * as d3 from 'd3'
+import { toNumber } from './bookFields.js'
+
+export const MISSING_LABEL = 'Missing'
+
+export function isMissing(v) {
+  return v == null || v === ''
+}
+
+export function imputes(mode) {
+  return mode === 'mean' || mode === 'median'
+}
+
+// The value that stands in for a missing number under the mean/median modes.
+export function imputeNumber(rows, key, mode) {
+  if (!key || !imputes(mode)) return null
+  const values = rows.map((r) => toNumber(r?.[key])).filter((v) => v !== null)
+  if (values.length === 0) return null
+  return mode === 'median' ? d3.median(values) : d3.mean(values)
+}
+
+// Missing and invalid counts for every column. Columns are typed on load, so
+// a value can only be invalid in a text column that is otherwise numeric, or
+// in a number field column whose unparseable values were counted by
+// coerceNumbers (and nulled, so they are not missing as well).
+export function columnQuality(rows, columns) {
+  return columns.map(({ key, type, invalid: coerced }) => {
+    let missing = 0
+    let numeric = 0
+    let other = 0
+    for (const r of rows) {
+      const v = r?.[key]
+      if (isMissing(v)) missing += 1
+      else if (toNumber(v) !== null) numeric += 1
+      else other += 1
+    }
+    if (coerced > 0) return { key, type, missing: missing - coerced, invalid: coerced }
+    const invalid = type === 'string' && numeric > other ? other : 0
+    return { key, type, missing, invalid }
+  })
+}
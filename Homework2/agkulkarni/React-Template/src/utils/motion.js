@@ -0,0 +1,31 @@
+import { useEffect, useState } from 'react'
+import { useView } from '../stores/ViewContext.jsx'
+
+// One duration for every chart transition, so views animate in step.
+export const MOTION_MS = 450
+
+const REDUCED_MOTION = '(prefers-reduced-motion: reduce)'
+
+function prefersReducedMotion() {
+  return typeof window !== 'undefined' && !!window.matchMedia?.(REDUCED_MOTION).matches
+}
+
+// The transition duration to use right now: MOTION_MS, or 0 when motion is
+// reduced. The Motion control decides; left on 'system' it follows the OS
+// reduced-motion setting.
+export function useMotionDuration() {
+  const { view } = useView()
+  const [systemReduced, setReduced] = useState(prefersReducedMotion)
+
+  useEffect(() => {
+    const query = window.matchMedia?.(REDUCED_MOTION)
+    if (!query) return
+    const onChange = () => setReduced(query.matches)
+    query.addEventListener('change', onChange)
+    return () => query.removeEventListener('change', onChange)
+  }, [])
+
+  const { mode } = view.motion
+  const reduced = mode === 'reduce' || (mode === 'system' && systemReduced)
+  return reduced ? 0 : MOTION_MS
+}
@@ -0,0 +1,119 @@
+import defaultMapping from '../config/columnMapping.json'
+
+export const DEFAULT_MAPPING = defaultMapping
+
+function countNonNumeric(rows, key) {
+  let n = 0
+  for (const r of rows) {
+    const v = r?.[key]
+    if (v == null || v === '') continue
+    if (!Number.isFinite(Number(v))) n += 1
+  }
+  return n
+}
+
+function describeType(rows, column, expected) {
+  if (expected !== 'number') return `${column.type}`
+  const bad = countNonNumeric(rows, column.key)
+  return bad > 0 ? `${column.type} (${bad} non-numeric values)` : column.type
+}
+
+function findMappedColumn(columns, spec) {
+  const byLower = new Map(columns.map((c) => [c.key.toLowerCase(), c]))
+  const candidates = Array.isArray(spec.columns) ? spec.columns : [spec.columns]
+  return candidates.map((name) => byLower.get(String(name).toLowerCase())).find(Boolean) ?? null
+}
+
+// The columns that number fields (year, rating, ...) map to. These are read as
+// numbers even when a few values are not, see coerceNumbers.
+export function numberFieldColumns(columns, mapping = DEFAULT_MAPPING) {
+  if (!columns || columns.length === 0) return []
+  return Object.values(mapping.fields ?? {})
+    .filter((spec) => spec.type === 'number')
+    .map((spec) => findMappedColumn(columns, spec)?.key)
+    .filter(Boolean)
+}
+
+export function emptySchema(mapping = DEFAULT_MAPPING) {
+  const fields = {}
+  for (const name of Object.keys(mapping.fields ?? {})) fields[name] = null
+  return { fields, numeric: [], exclude: [], details: [], search: [], facets: [], issues: [] }
+}
+
+export function resolveSchema(columns, rows, mapping = DEFAULT_MAPPING) {
+  if (!columns || columns.length === 0) return emptySchema(mapping)
+
+  const byLower = new Map(columns.map((c) => [c.key.toLowerCase(), c]))
+  const findColumn = (name) => byLower.get(String(name).toLowerCase()) ?? null
+
+  const issues = []
+  const fields = {}
+  for (const [name, spec] of Object.entries(mapping.fields ?? {})) {
+    const candidates = Array.isArray(spec.columns) ? spec.columns : [spec.columns]
+    const column = findMappedColumn(columns, spec)
+    fields[name] = null
+
+    if (!column) {
+      if (spec.required) {
+        issues.push({
+          level: 'error',
+          field: name,
+          message: `No column found for ${name} (looked for ${candidates.join(', ')}).`,
+        })
+      }
+      continue
+    }
+
+    if (spec.type && spec.type !== 'any' && column.type !== spec.type) {
+      issues.push({
+        level: 'error',
+        field: name,
+        column: column.key,
+        message: `Column "${column.key}" is mapped to ${name} and should be ${spec.type}, but is ${describeType(rows, column, spec.type)}.`,
+      })
+      continue
+    }
+
+    if (column.invalid > 0) {
+      issues.push({
+        level: 'warning',
+        field: name,
+        column: column.key,
+        message: `Column "${column.key}" has ${column.invalid} non-numeric ${name} values; they are treated as missing.`,
+      })
+    }
+
+    fields[name] = column.key
+  }
+
+  const numeric = []
+  for (const name of mapping.numeric ?? []) {
+    const column = findColumn(name)
+    if (!column) {
+      issues.push({ level: 'warning', field: 'numeric', message: `Numeric column "${name}" is not in the dataset.` })
+    } else if (column.type !== 'number') {
+      issues.push({
+        level: 'warning',
+        field: 'numeric',
+        column: column.key,
+        message: `Numeric column "${column.key}" is ${describeType(rows, column, 'number')} and will not be plotted.`,
+      })
+    } else if (!numeric.includes(column.key)) {
+      numeric.push(column.key)
+    }
+  }
+  if ((mapping.numeric ?? []).length > 0 && numeric.length === 0) {
+    issues.push({
+      level: 'warning',
+      field: 'numeric',
+      message: 'None of the configured numeric columns are usable; numeric axes are picked automatically.',
+    })
+  }
+
+  const exclude = (mapping.exclude ?? []).map(findColumn).filter(Boolean).map((c) => c.key)
+  const details = (mapping.details ?? []).map(findColumn).filter(Boolean).map((c) => c.key)
+  const search = (mapping.search ?? []).map(findColumn).filter(Boolean).map((c) => c.key)
+  const facets = (mapping.facets ?? []).map(findColumn).filter(Boolean).map((c) => c.key)
+
+  return { fields, numeric, exclude, details, search, facets, issues }
+}
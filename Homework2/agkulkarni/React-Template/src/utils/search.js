@@ -0,0 +1,68 @@
+function normalize(value) {
+  return String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+}
+
+export function tokenize(query) {
+  return normalize(query).split(/[^a-z0-9]+/).filter(Boolean)
+}
+
+// Edit distance counting adjacent transpositions as one edit (optimal string
+// alignment), with an early exit once a whole row exceeds max.
+function withinDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return false
+  let before = null
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j)
+  for (let i = 1; i <= a.length; i += 1) {
+    const cur = [i]
+    let rowMin = i
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost)
+      if (before && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) cur[j] = Math.min(cur[j], before[j - 2] + 1)
+      if (cur[j] < rowMin) rowMin = cur[j]
+    }
+    if (rowMin > max) return false
+    before = prev
+    prev = cur
+  }
+  return prev[b.length] <= max
+}
+
+function allowedTypos(token) {
+  if (token.length >= 8) return 2
+  if (token.length >= 4) return 1
+  return 0
+}
+
+function matchesToken(doc, token) {
+  if (doc.text.includes(token)) return true
+  const max = allowedTypos(token)
+  if (max === 0) return false
+  return doc.words.some(
+    (w) => withinDistance(w, token, max) || (w.length > token.length && withinDistance(w.slice(0, token.length), token, max)),
+  )
+}
+
+// Returns a matcher over the given text columns. Every query token has to match
+// somewhere in a row, either as a substring or as a word (or word prefix) within
+// a small edit distance, so "tolkein" still finds Tolkien.
+export function buildSearchIndex(rows, keys) {
+  const docs = rows.map((r) => {
+    const text = keys.map((k) => normalize(r?.[k])).join(' ')
+    return { text, words: Array.from(new Set(text.split(/[^a-z0-9]+/).filter(Boolean))) }
+  })
+
+  return (query) => {
+    const tokens = tokenize(query)
+    if (tokens.length === 0) return null
+    return new Set(rows.filter((r, i) => tokens.every((t) => matchesToken(docs[i], t))))
+  }
+}
+
+export function facetValue(row, column) {
+  const v = row?.[column]
+  return v == null || v === '' ? '' : String(v)
+}
@@ -0,0 +1,164 @@
+import { useEffect, useRef } from 'react'
+import * as d3 from 'd3'
+import { splitGenres, toNumber } from './bookFields.js'
+
+const OFFSET = 12
+const EDGE = 4
+const MAX_TAGS = 4
+
+function element(doc, tag, className, text) {
+  const node = doc.createElement(tag)
+  node.className = className
+  if (text != null) node.textContent = String(text)
+  return node
+}
+
+// Content is a string or { title, subtitle, lines, tags, cover }. It is only
+// ever written with textContent, so values from the dataset cannot inject markup.
+function renderContent(node, content) {
+  const doc = node.ownerDocument
+  const spec = typeof content === 'string' ? { title: content } : (content ?? {})
+  const { title, subtitle, lines = [], tags = [], cover } = spec
+  node.replaceChildren()
+  node.classList.toggle('is-card', !!cover)
+
+  if (cover) {
+    const coverNode = element(doc, 'div', 'd3-tooltip-cover', cover.initials)
+    coverNode.setAttribute('aria-hidden', 'true')
+    coverNode.style.background = cover.color
+    node.append(coverNode)
+  }
+
+  const body = element(doc, 'div', 'd3-tooltip-body')
+  if (title) body.append(element(doc, 'div', 'd3-tooltip-title', title))
+  if (subtitle) body.append(element(doc, 'div', 'd3-tooltip-subtitle', subtitle))
+  for (const line of lines.filter(Boolean)) body.append(element(doc, 'div', 'd3-tooltip-line', line))
+  if (tags.length > 0) {
+    const tagList = element(doc, 'div', 'd3-tooltip-tags')
+    for (const tag of tags) tagList.append(element(doc, 'span', 'd3-tooltip-tag', tag))
+    body.append(tagList)
+  }
+  node.append(body)
+}
+
+// A tooltip attached to the document body so chart panels cannot clip it. It
+// follows a pointer (or a { clientX, clientY } anchor for keyboard focus),
+// flips to the other side of the anchor near the viewport edges, and can be
+// pinned: a pinned tooltip ignores hover until it is closed, pinned again on
+// the same key, or dismissed with Escape.
+export function createTooltip(doc = document) {
+  const view = doc.defaultView
+  const root = element(doc, 'div', 'd3-tooltip')
+  root.setAttribute('role', 'tooltip')
+  root.style.opacity = '0'
+  const close = element(doc, 'button', 'd3-tooltip-close', '×')
+  close.type = 'button'
+  close.hidden = true
+  close.setAttribute('aria-label', 'Close tooltip')
+  const content = element(doc, 'div', 'd3-tooltip-content')
+  root.append(close, content)
+  doc.body.append(root)
+
+  let pinnedKey = null
+
+  const place = ({ clientX, clientY }) => {
+    const { width, height } = root.getBoundingClientRect()
+    let left = clientX + OFFSET
+    let top = clientY + OFFSET
+    if (left + width > view.innerWidth - EDGE) left = clientX - OFFSET - width
+    if (top + height > view.innerHeight - EDGE) top = clientY - OFFSET - height
+    root.style.left = `${Math.max(EDGE, left) + view.scrollX}px`
+    root.style.top = `${Math.max(EDGE, top) + view.scrollY}px`
+  }
+
+  const open = (anchor, spec) => {
+    renderContent(content, spec)
+    root.style.opacity = '1'
+    place(anchor)
+  }
+
+  const unpin = () => {
+    pinnedKey = null
+    root.classList.remove('is-pinned')
+    close.hidden = true
+    root.style.opacity = '0'
+  }
+
+  const onKeyDown = (event) => {
+    if (event.key === 'Escape' && pinnedKey !== null) unpin()
+  }
+  close.addEventListener('click', unpin)
+  doc.addEventListener('keydown', onKeyDown)
+
+  return {
+    show(anchor, spec) {
+      if (pinnedKey === null) open(anchor, spec)
+    },
+    move(anchor) {
+      if (pinnedKey === null) place(anchor)
+    },
+    hide() {
+      if (pinnedKey === null) root.style.opacity = '0'
+    },
+    // Pinning the key that is already pinned releases it instead.
+    pin(anchor, spec, key) {
+      if (pinnedKey !== null && pinnedKey === key) {
+        unpin()
+        return
+      }
+      pinnedKey = key
+      root.classList.add('is-pinned')
+      close.hidden = false
+      open(anchor, spec)
+    },
+    unpin,
+    destroy() {
+      doc.removeEventListener('keydown', onKeyDown)
+      root.remove()
+    },
+  }
+}
+
+// One tooltip per chart for as long as the chart is mounted. Read it from
+// ref.current inside effects.
+export function useTooltip() {
+  const ref = useRef(null)
+
+  useEffect(() => {
+    const tooltip = createTooltip()
+    ref.current = tooltip
+    return () => {
+      tooltip.destroy()
+      ref.current = null
+    }
+  }, [])
+
+  return ref
+}
+
+function initialsOf(title) {
+  const words = String(title).match(/[\p{L}\p{N}]+/gu) ?? []
+  return words
+    .slice(0, 2)
+    .map((w) => w[0].toUpperCase())
+    .join('')
+}
+
+// Cover-style card for one book: a colored tile with its initials, then title,
+// author, year and rating, and its first few tags (genres when the dataset has
+// no tags column).
+export function bookCard(row, fields) {
+  const title = (fields.title && row?.[fields.title]) || '(Untitled)'
+  const year = fields.year ? row?.[fields.year] : null
+  const rating = fields.rating ? toNumber(row?.[fields.rating]) : null
+  const meta = [year != null && year !== '' ? String(year) : null, rating !== null ? `★ ${rating}` : null].filter(Boolean)
+  const tagKey = fields.tags ?? fields.genre
+  const hue = d3.sum(Array.from(String(title), (c) => c.charCodeAt(0))) % d3.schemeTableau10.length
+  return {
+    title,
+    subtitle: fields.author && row?.[fields.author] ? `by ${row[fields.author]}` : null,
+    lines: [meta.join(' · ')],
+    tags: tagKey ? Array.from(new Set(splitGenres(row?.[tagKey]))).slice(0, MAX_TAGS) : [],
+    cover: { initials: initialsOf(title), color: d3.schemeTableau10[hue] },
+  }
+}
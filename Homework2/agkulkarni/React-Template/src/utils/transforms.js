@@ -0,0 +1,385 @@
+import * as d3 from 'd3'
+import { splitGenres, toNumber } from './bookFields.js'
+import { MISSING_LABEL } from './missing.js'
+import { MISSING_BIN, inRange, ratingBinner, yearBinner } from './binning.js'
+
+// Framework-free data shaping behind the charts. Everything here takes plain
+// row objects (as produced by normalizeRows) and returns plain data, so it can
+// be shared with the Vue and VanillaJS templates and tested under node.
+
+function creditedGenres(raw, credit) {
+  const parts = splitGenres(raw)
+  if (parts.length === 0) return []
+  if (credit === 'first') return [[parts[0], 1]]
+  const unique = Array.from(new Set(parts))
+  const weight = credit === 'fractional' ? 1 / unique.length : 1
+  return unique.map((g) => [g, weight])
+}
+
+// Books without a genre are skipped, or counted under MISSING_LABEL when
+// showMissing is set. fillRating stands in for missing ratings when imputing.
+export function aggregateGenres(rows, genreKey, { credit = 'full', ratingKey = null, showMissing = false, fillRating = null } = {}) {
+  if (!rows || rows.length === 0 || !genreKey) return []
+
+  const acc = new Map()
+  for (const row of rows) {
+    const rating = ratingKey ? (toNumber(row?.[ratingKey]) ?? fillRating) : null
+    const credited = creditedGenres(row?.[genreKey], credit)
+    if (credited.length === 0 && showMissing) credited.push([MISSING_LABEL, 1])
+    for (const [g, w] of credited) {
+      const cur = acc.get(g) ?? { genre: g, count: 0, ratingSum: 0, ratingWeight: 0 }
+      cur.count += w
+      if (rating !== null) {
+        cur.ratingSum += rating * w
+        cur.ratingWeight += w
+      }
+      acc.set(g, cur)
+    }
+  }
+
+  return Array.from(acc.values(), (d) => ({
+    genre: d.genre,
+    count: d.count,
+    avgRating: d.ratingWeight > 0 ? d.ratingSum / d.ratingWeight : null,
+  }))
+}
+
+export function sortGenres(list, sortBy) {
+  const out = [...list]
+  if (sortBy === 'alpha') out.sort((a, b) => d3.ascending(a.genre, b.genre))
+  else if (sortBy === 'rating') out.sort((a, b) => d3.descending(a.avgRating ?? -Infinity, b.avgRating ?? -Infinity) || d3.descending(a.count, b.count))
+  else out.sort((a, b) => d3.descending(a.count, b.count) || d3.ascending(a.genre, b.genre))
+  return out
+}
+
+// The year and rating a row sits at on the heatmap: missing values take the
+// fill when imputing, and stay null otherwise.
+export function heatmapValues(r, { yearKey, ratingKey, fillYear = null, fillRating = null }) {
+  return { year: toNumber(r?.[yearKey]) ?? fillYear, rating: toNumber(r?.[ratingKey]) ?? fillRating }
+}
+
+export function inYearBounds(year, { minYear = null, maxYear = null }) {
+  return !(Number.isFinite(minYear) && year < minYear) && !(Number.isFinite(maxYear) && year > maxYear)
+}
+
+// Whether binHeatmap counts a row in the given cell, with the same fill and
+// year bounds.
+export function inHeatmapCell(r, cell, options) {
+  const { year, rating } = heatmapValues(r, options)
+  if (year === null || rating === null || !inYearBounds(year, options)) return false
+  return inRange(year, cell.year) && inRange(rating, cell.rating)
+}
+
+// Counts books per (year bin, rating bin). Every row is binned so the grid
+// stays stable, but only rows in `filtered` (all rows when null) are counted.
+// A zoom range switches to single-year bins inside it. Rows missing a year or
+// rating are dropped unless showMissing puts them in MISSING_BIN.
+export function binHeatmap(
+  rows,
+  {
+    yearKey,
+    ratingKey,
+    filtered = null,
+    yearBin = 'decade',
+    breakpoints = null,
+    ratingBin = 0.5,
+    zoom = null,
+    minYear = null,
+    maxYear = null,
+    showMissing = false,
+    fillYear = null,
+    fillRating = null,
+  } = {},
+) {
+  const empty = { data: [], yearBins: [], ratingBins: [], excluded: 0 }
+  if (!rows || rows.length === 0 || !yearKey || !ratingKey) return empty
+
+  const binYear = zoom ? yearBinner('year') : yearBinner(yearBin, breakpoints)
+  const binRating = ratingBinner(ratingBin)
+
+  const filteredSet = filtered && filtered !== rows ? new Set(filtered) : null
+  let zoomedOut = 0
+  const items = rows
+    .map((r) => {
+      const inFilter = !filteredSet || filteredSet.has(r)
+      const { year, rating } = heatmapValues(r, { yearKey, ratingKey, fillYear, fillRating })
+      if (zoom && (year === null || !inRange(year, zoom))) {
+        if (inFilter) zoomedOut += 1
+        return null
+      }
+      if ((year === null || rating === null) && !showMissing) return null
+      if (year !== null && !inYearBounds(year, { minYear, maxYear })) return null
+      const yb = year === null ? MISSING_BIN : binYear(year)
+      if (!yb) return null
+      const rb = rating === null ? MISSING_BIN : binRating(rating)
+      return { yearBin: yb, ratingBin: rb, inFilter }
+    })
+    .filter(Boolean)
+
+  // The missing bucket goes first: leftmost for years, bottom for ratings.
+  const uniqueBins = (list) => {
+    const bins = Array.from(new Map(list.filter((b) => b !== MISSING_BIN).map((b) => [b[0], b])).values())
+    bins.sort((a, b) => d3.ascending(a[0], b[0]))
+    return list.includes(MISSING_BIN) ? [MISSING_BIN, ...bins] : bins
+  }
+  const yearBins = zoom ? d3.range(zoom[0], zoom[1]).map((y) => [y, y + 1]) : uniqueBins(items.map((d) => d.yearBin))
+  const ratingBins = uniqueBins(items.map((d) => d.ratingBin))
+
+  const counts = new Map()
+  const yearTotals = new Map()
+  const ratingTotals = new Map()
+  for (const d of items) {
+    if (!d.inFilter) continue
+    const key = `${d.yearBin[0]}|${d.ratingBin[0]}`
+    counts.set(key, (counts.get(key) ?? 0) + 1)
+    yearTotals.set(d.yearBin[0], (yearTotals.get(d.yearBin[0]) ?? 0) + 1)
+    ratingTotals.set(d.ratingBin[0], (ratingTotals.get(d.ratingBin[0]) ?? 0) + 1)
+  }
+
+  const data = []
+  for (const yb of yearBins) {
+    for (const rb of ratingBins) {
+      const count = counts.get(`${yb[0]}|${rb[0]}`) ?? 0
+      const yearShare = count / (yearTotals.get(yb[0]) || 1)
+      const ratingShare = count / (ratingTotals.get(rb[0]) || 1)
+      data.push({ yearBin: yb, ratingBin: rb, count, yearShare, ratingShare })
+    }
+  }
+
+  const total = filteredSet ? filteredSet.size : rows.length
+  const excluded = total - items.filter((d) => d.inFilter).length - zoomedOut
+  return { data, yearBins, ratingBins, excluded }
+}
+
+function isFiniteNumber(v) {
+  return typeof v === 'number' && Number.isFinite(v)
+}
+
+export function variance(values) {
+  if (!values || values.length < 2) return 0
+  const mean = d3.mean(values) ?? 0
+  const v = d3.mean(values, (d) => (d - mean) * (d - mean)) ?? 0
+  return v
+}
+
+// Numeric columns ranked by variance, skipping any with more than 40% gaps.
+export function autoDims(rows, excluded = new Set()) {
+  if (!rows || rows.length === 0) return []
+  const keys = Object.keys(rows[0])
+  const total = rows.length
+  const numericCandidates = keys
+    .filter((k) => !excluded.has(k))
+    .filter((k) => {
+      for (const r of rows) {
+        const v = r?.[k]
+        if (isFiniteNumber(v)) return true
+      }
+      return false
+    })
+
+  const stats = numericCandidates
+    .map((k) => {
+      const values = rows.map((r) => r?.[k]).filter(isFiniteNumber)
+      const validCount = values.length
+      return { key: k, values, validCount, missingRatio: 1 - validCount / total, var: variance(values) }
+    })
+    .filter((d) => d.validCount > 0)
+    .filter((d) => d.missingRatio <= 0.4)
+
+  return [...stats].sort((a, b) => d3.descending(a.var, b.var)).map((d) => d.key)
+}
+
+// Takes up to maxDims of the ranked columns, topping up to minDims if needed.
+export function pickDims(ranked, { minDims = 4, maxDims = 6 } = {}) {
+  const maxPick = Math.max(1, Math.min(maxDims, ranked.length))
+  let dims = ranked.slice(0, maxPick)
+
+  if (dims.length > maxDims) dims = dims.slice(0, maxDims)
+  if (dims.length < minDims) dims = ranked.slice(0, Math.min(minDims, ranked.length))
+
+  return dims
+}
+
+// Least-squares line through [x, y] points, or null when x does not vary.
+export function linearFit(points) {
+  if (!points || points.length < 2) return null
+  const mx = d3.mean(points, (p) => p[0])
+  const my = d3.mean(points, (p) => p[1])
+  let sxy = 0
+  let sxx = 0
+  for (const [x, y] of points) {
+    sxy += (x - mx) * (y - my)
+    sxx += (x - mx) * (x - mx)
+  }
+  if (sxx === 0) return null
+  const slope = sxy / sxx
+  return { slope, intercept: my - slope * mx, predict: (x) => my + slope * (x - mx) }
+}
+
+// Locally weighted linear regression: at each of `steps` x positions, fits a
+// line to the nearest `bandwidth` share of points with tricube weights.
+// Returns the smoothed curve as [x, y] pairs, or [] with too few points.
+export function loess(points, { bandwidth = 0.3, steps = 40 } = {}) {
+  if (!points || points.length < 3) return []
+  const sorted = [...points].sort((a, b) => a[0] - b[0])
+  const [lo, hi] = [sorted[0][0], sorted[sorted.length - 1][0]]
+  if (lo === hi) return []
+  const span = Math.max(3, Math.min(sorted.length, Math.ceil(bandwidth * sorted.length)))
+
+  return d3.range(steps + 1).map((i) => {
+    const x0 = lo + ((hi - lo) * i) / steps
+    const near = sorted
+      .map((p) => [p, Math.abs(p[0] - x0)])
+      .sort((a, b) => a[1] - b[1])
+      .slice(0, span)
+    const reach = near[near.length - 1][1] || 1
+    let sw = 0
+    let swx = 0
+    let swy = 0
+    let swxx = 0
+    let swxy = 0
+    for (const [[x, y], dist] of near) {
+      const w = (1 - (dist / reach) ** 3) ** 3
+      sw += w
+      swx += w * x
+      swy += w * y
+      swxx += w * x * x
+      swxy += w * x * y
+    }
+    const denom = sw * swxx - swx * swx
+    if (sw === 0) return [x0, d3.mean(near, (n) => n[0][1])]
+    if (Math.abs(denom) < 1e-12) return [x0, swy / sw]
+    const slope = (sw * swxy - swx * swy) / denom
+    return [x0, (swy - slope * swx) / sw + slope * x0]
+  })
+}
+
+// Tag co-occurrence graph. Nodes are the maxTags most frequent tags (count =
+// books carrying the tag); links join two of them with the number of books
+// carrying both, keeping links of at least minWeight. A tag repeated within
+// one book counts once.
+export function buildTagGraph(rows, tagsKey, { minWeight = 1, maxTags = 40 } = {}) {
+  if (!rows || rows.length === 0 || !tagsKey) return { nodes: [], links: [] }
+
+  const perBook = rows.map((r) => Array.from(new Set(splitGenres(r?.[tagsKey])))).filter((tags) => tags.length > 0)
+  const counts = new Map()
+  for (const tags of perBook) for (const tag of tags) counts.set(tag, (counts.get(tag) ?? 0) + 1)
+
+  const top = Array.from(counts)
+    .sort((a, b) => d3.descending(a[1], b[1]) || d3.ascending(a[0], b[0]))
+    .slice(0, maxTags)
+  const keep = new Set(top.map(([tag]) => tag))
+
+  const pairs = new Map()
+  for (const tags of perBook) {
+    const kept = tags.filter((t) => keep.has(t)).sort(d3.ascending)
+    for (let i = 0; i < kept.length; i += 1) {
+      const partners = pairs.get(kept[i]) ?? new Map()
+      for (let j = i + 1; j < kept.length; j += 1) partners.set(kept[j], (partners.get(kept[j]) ?? 0) + 1)
+      pairs.set(kept[i], partners)
+    }
+  }
+
+  const links = []
+  for (const [source, partners] of pairs) {
+    for (const [target, weight] of partners) if (weight >= minWeight) links.push({ source, target, weight })
+  }
+  links.sort((a, b) => d3.descending(a.weight, b.weight) || d3.ascending(a.source, b.source) || d3.ascending(a.target, b.target))
+
+  return { nodes: top.map(([id, count]) => ({ id, count })), links }
+}
+
+// A country spelled the way the map names it: aliases (keyed by lower-case
+// spelling) cover abbreviations like "UK", anything else is kept as written.
+export function resolveCountry(raw, aliases = {}) {
+  const name = String(raw ?? '').trim()
+  if (!name) return null
+  return aliases[name.toLowerCase()] ?? name
+}
+
+// Books and average rating per resolved country, most books first.
+export function aggregateCountries(rows, countryKey, { aliases = {}, ratingKey = null, fillRating = null } = {}) {
+  if (!rows || rows.length === 0 || !countryKey) return []
+
+  const acc = new Map()
+  for (const row of rows) {
+    const country = resolveCountry(row?.[countryKey], aliases)
+    if (!country) continue
+    const cur = acc.get(country) ?? { country, count: 0, ratingSum: 0, rated: 0 }
+    cur.count += 1
+    const rating = ratingKey ? (toNumber(row?.[ratingKey]) ?? fillRating) : null
+    if (rating !== null) {
+      cur.ratingSum += rating
+      cur.rated += 1
+    }
+    acc.set(country, cur)
+  }
+
+  const out = Array.from(acc.values(), (d) => ({
+    country: d.country,
+    count: d.count,
+    avgRating: d.rated > 0 ? d.ratingSum / d.rated : null,
+  }))
+  out.sort((a, b) => d3.descending(a.count, b.count) || d3.ascending(a.country, b.country))
+  return out
+}
+
+// Splits books into adapted and not adapted. A book counts as adapted when its
+// flag is true or it has a film year. Adapted books with both years, and a film
+// no older than the book, go on the timeline with their lag in years.
+export function splitAdaptations(rows, { adaptedKey = null, yearKey = null, movieYearKey = null } = {}) {
+  const out = { adapted: [], other: [], timeline: [] }
+  if (!rows || rows.length === 0 || (!adaptedKey && !movieYearKey)) return out
+
+  for (const row of rows) {
+    const movieYear = movieYearKey ? toNumber(row?.[movieYearKey]) : null
+    if (!(adaptedKey && row?.[adaptedKey] === true) && movieYear === null) {
+      out.other.push(row)
+      continue
+    }
+    out.adapted.push(row)
+    const year = yearKey ? toNumber(row?.[yearKey]) : null
+    if (year !== null && movieYear !== null && movieYear >= year) out.timeline.push({ row, year, movieYear, lag: movieYear - year })
+  }
+  return out
+}
+
+// Lags in `step`-year bins from 0. Lags of `cap` years or more share a final
+// open-ended bin (x1 is Infinity); by default the cap sits just above the 95th
+// percentile, and never past `maxCap`, so a few ancient texts do not flatten
+// the rest.
+export function lagHistogram(lags, { step = 5, cap = null, maxCap = 100 } = {}) {
+  if (!lags || lags.length === 0) return []
+  const top = cap ?? Math.max(2 * step, Math.min(maxCap, Math.ceil((d3.quantile(lags, 0.95) + 1) / step) * step))
+  const bins = d3.range(0, top, step).map((x0) => ({ x0, x1: x0 + step, count: 0 }))
+  const overflow = { x0: top, x1: Infinity, count: 0 }
+  for (const lag of lags) {
+    if (lag >= top) overflow.count += 1
+    else bins[Math.floor(lag / step)].count += 1
+  }
+  return overflow.count > 0 ? [...bins, overflow] : bins
+}
+
+// Each group's ratings as shares per `step`-wide band, so groups of different
+// sizes can be compared, plus the size, median and mean of each group.
+export function ratingShares(groups, { step = 0.25 } = {}) {
+  const names = Object.keys(groups)
+  const all = names.flatMap((name) => groups[name])
+  if (all.length === 0) return { bands: [], stats: {} }
+
+  const start = Math.floor(d3.min(all) / step) * step
+  const count = Math.floor((d3.max(all) - start) / step) + 1
+  const bandOf = (v) => Math.min(count - 1, Math.floor((v - start) / step + 1e-9))
+  const bands = d3.range(count).map((i) => ({
+    x0: start + i * step,
+    x1: start + (i + 1) * step,
+    shares: Object.fromEntries(names.map((name) => [name, 0])),
+  }))
+  const stats = {}
+  for (const name of names) {
+    const values = groups[name]
+    for (const v of values) bands[bandOf(v)].shares[name] += 1 / values.length
+    stats[name] = { n: values.length, median: d3.median(values) ?? null, mean: d3.mean(values) ?? null }
+  }
+  return { bands, stats }
+}
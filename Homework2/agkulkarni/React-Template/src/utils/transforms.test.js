@@ -0,0 +1,305 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { coerceNumbers, parseDatasetText } from './dataset.js'
+import { MISSING_LABEL } from './missing.js'
+import { MISSING_BIN } from './binning.js'
+import {
+  aggregateCountries,
+  aggregateGenres,
+  autoDims,
+  binHeatmap,
+  buildTagGraph,
+  inHeatmapCell,
+  lagHistogram,
+  linearFit,
+  loess,
+  pickDims,
+  ratingShares,
+  resolveCountry,
+  sortGenres,
+  splitAdaptations,
+  variance,
+} from './transforms.js'
+
+const CSV = [
+  '\uFEFFid,title,genre,publicationYear,rating_average,pageCount',
+  '1,Dune,"Sci-Fi, Classic",1965,4.3,412',
+  '2,Emma,"Romance, Classic, Romance",1815,4.0,474',
+  '3,Nameless,,unknown,3.1,200',
+  '4,Solaris,Sci-Fi,1961,,204',
+].join('\n')
+
+const { rows, columns } = parseDatasetText(CSV, 'csv')
+const heatmapKeys = { yearKey: 'publicationYear', ratingKey: 'rating_average' }
+
+test('a BOM-prefixed header is read as a clean column name', () => {
+  assert.equal(columns[0].key, 'id')
+  assert.equal(rows[0].id, 1)
+  assert.equal(autoDims(rows, new Set(['id'])).includes('id'), false)
+  const spaced = parseDatasetText('\uFEFF id,value\n7,2', 'csv')
+  assert.deepEqual(
+    spaced.columns.map((c) => c.key),
+    ['id', 'value'],
+  )
+})
+
+test('a non-numeric year is coerced to a missing number and counted as invalid', () => {
+  const coerced = coerceNumbers(rows, columns, ['publicationYear', 'rating_average'])
+  const year = coerced.columns.find((c) => c.key === 'publicationYear')
+  assert.equal(year.type, 'number')
+  assert.equal(year.invalid, 1)
+  assert.deepEqual(
+    coerced.rows.map((r) => r.publicationYear),
+    [1965, 1815, null, 1961],
+  )
+  assert.equal(rows[2].publicationYear, 'unknown')
+  assert.equal(coerced.columns.find((c) => c.key === 'rating_average'), columns.find((c) => c.key === 'rating_average'))
+})
+
+test('aggregateGenres credits a repeated genre once per book', () => {
+  const byGenre = new Map(aggregateGenres(rows, 'genre').map((d) => [d.genre, d.count]))
+  assert.equal(byGenre.get('Romance'), 1)
+  assert.equal(byGenre.get('Classic'), 2)
+  assert.equal(byGenre.get('Sci-Fi'), 2)
+  assert.equal(byGenre.has(''), false)
+})
+
+test('aggregateGenres splits fractional credit over distinct genres', () => {
+  const emma = aggregateGenres([rows[1]], 'genre', { credit: 'fractional' })
+  assert.deepEqual(
+    emma.map((d) => d.count),
+    [0.5, 0.5],
+  )
+  const first = aggregateGenres([rows[1]], 'genre', { credit: 'first' })
+  assert.deepEqual(
+    first.map((d) => d.genre),
+    ['Romance'],
+  )
+})
+
+test('aggregateGenres averages ratings only over rated books', () => {
+  const sciFi = aggregateGenres(rows, 'genre', { ratingKey: 'rating_average' }).find((d) => d.genre === 'Sci-Fi')
+  assert.equal(sciFi.avgRating, 4.3)
+  const filled = aggregateGenres(rows, 'genre', { ratingKey: 'rating_average', fillRating: 3.3 }).find((d) => d.genre === 'Sci-Fi')
+  assert.equal(filled.avgRating, 3.8)
+})
+
+test('aggregateGenres counts books without a genre only when asked', () => {
+  assert.equal(
+    aggregateGenres(rows, 'genre').some((d) => d.genre === MISSING_LABEL),
+    false,
+  )
+  const missing = aggregateGenres(rows, 'genre', { showMissing: true }).find((d) => d.genre === MISSING_LABEL)
+  assert.equal(missing.count, 1)
+})
+
+test('sortGenres breaks count ties alphabetically and keeps unrated genres last', () => {
+  const list = aggregateGenres(rows, 'genre', { ratingKey: 'rating_average' })
+  assert.deepEqual(
+    sortGenres(list, 'count').map((d) => d.genre),
+    ['Classic', 'Sci-Fi', 'Romance'],
+  )
+  const withUnrated = [...list, { genre: 'Poetry', count: 9, avgRating: null }]
+  assert.equal(sortGenres(withUnrated, 'rating').at(-1).genre, 'Poetry')
+})
+
+test('binHeatmap skips books with a non-numeric year or no rating', () => {
+  const { data, yearBins, excluded } = binHeatmap(rows, heatmapKeys)
+  assert.deepEqual(yearBins, [
+    [1810, 1820],
+    [1960, 1970],
+  ])
+  assert.equal(totalCount(data), 2)
+  assert.equal(excluded, 2)
+})
+
+test('binHeatmap puts missing values in a leading bucket when shown', () => {
+  const { yearBins, ratingBins, data } = binHeatmap(rows, { ...heatmapKeys, showMissing: true })
+  assert.equal(yearBins[0], MISSING_BIN)
+  assert.equal(ratingBins[0], MISSING_BIN)
+  assert.equal(totalCount(data), 4)
+})
+
+test('binHeatmap keeps the grid but only counts filtered rows', () => {
+  const { data, yearBins, excluded } = binHeatmap(rows, { ...heatmapKeys, filtered: [rows[0]] })
+  assert.equal(yearBins.length, 2)
+  assert.equal(totalCount(data), 1)
+  assert.equal(excluded, 0)
+  const cell = data.find((d) => d.count === 1)
+  assert.equal(cell.yearShare, 1)
+  assert.equal(cell.ratingShare, 1)
+})
+
+test('binHeatmap zooms into single years', () => {
+  const { yearBins, excluded } = binHeatmap(rows, { ...heatmapKeys, zoom: [1960, 1970] })
+  assert.equal(yearBins.length, 10)
+  assert.deepEqual(yearBins[5], [1965, 1966])
+  assert.equal(excluded, 1)
+})
+
+test('inHeatmapCell places books with the same fill and bounds as binHeatmap', () => {
+  const options = { ...heatmapKeys, fillRating: 4.2, minYear: 1900 }
+  const cell = { year: [1960, 1970], rating: [4, 4.5] }
+  const { data } = binHeatmap(rows, options)
+  const counted = data.find((d) => d.yearBin[0] === 1960 && d.ratingBin[0] === 4).count
+  const listed = rows.filter((r) => inHeatmapCell(r, cell, options))
+  assert.equal(counted, 2)
+  assert.deepEqual(
+    listed.map((r) => r.title),
+    ['Dune', 'Solaris'],
+  )
+  assert.equal(inHeatmapCell(rows[1], { year: [1810, 1820], rating: [4, 4.5] }, options), false)
+})
+
+test('variance and autoDims rank numeric columns by spread', () => {
+  assert.equal(variance([]), 0)
+  assert.equal(variance([5]), 0)
+  assert.equal(variance([1, 3]), 1)
+  assert.deepEqual(autoDims(rows, new Set(['id'])), ['pageCount', 'rating_average'])
+})
+
+test('autoDims drops columns with too many gaps', () => {
+  const sparse = [{ a: 1, b: null }, { a: 2, b: null }, { a: 3, b: 4 }]
+  assert.deepEqual(autoDims(sparse), ['a'])
+})
+
+test('pickDims caps at maxDims and tops up to minDims', () => {
+  const ranked = ['a', 'b', 'c', 'd', 'e', 'f', 'g']
+  assert.deepEqual(pickDims(ranked, { minDims: 2, maxDims: 3 }), ['a', 'b', 'c'])
+  assert.deepEqual(pickDims(['a'], { minDims: 4, maxDims: 6 }), ['a'])
+})
+
+test('linearFit recovers an exact line and rejects a vertical one', () => {
+  const fit = linearFit([
+    [0, 1],
+    [1, 3],
+    [2, 5],
+  ])
+  assert.equal(fit.slope, 2)
+  assert.equal(fit.intercept, 1)
+  assert.equal(fit.predict(10), 21)
+  assert.equal(
+    linearFit([
+      [1, 1],
+      [1, 2],
+    ]),
+    null,
+  )
+})
+
+test('loess follows a straight line and spans the x range', () => {
+  const points = Array.from({ length: 30 }, (_, i) => [i, 3 * i - 2])
+  const curve = loess(points, { steps: 10 })
+  assert.equal(curve.length, 11)
+  assert.equal(curve[0][0], 0)
+  assert.equal(curve.at(-1)[0], 29)
+  for (const [x, y] of curve) assert.ok(Math.abs(y - (3 * x - 2)) < 1e-6)
+})
+
+test('buildTagGraph counts tags and shared books once per book', () => {
+  const books = [{ tags: 'magic,school,magic' }, { tags: 'magic, school' }, { tags: 'space' }, { tags: '' }, {}]
+  const { nodes, links } = buildTagGraph(books, 'tags')
+  assert.deepEqual(nodes, [
+    { id: 'magic', count: 2 },
+    { id: 'school', count: 2 },
+    { id: 'space', count: 1 },
+  ])
+  assert.deepEqual(links, [{ source: 'magic', target: 'school', weight: 2 }])
+  assert.deepEqual(buildTagGraph(books, 'tags', { minWeight: 3 }).links, [])
+  assert.deepEqual(
+    buildTagGraph(books, 'tags', { maxTags: 1 }).nodes.map((n) => n.id),
+    ['magic'],
+  )
+})
+
+test('resolveCountry maps aliases case-insensitively and keeps other names', () => {
+  const aliases = { uk: 'United Kingdom', usa: 'United States of America' }
+  assert.equal(resolveCountry(' UK ', aliases), 'United Kingdom')
+  assert.equal(resolveCountry('Usa', aliases), 'United States of America')
+  assert.equal(resolveCountry('France', aliases), 'France')
+  assert.equal(resolveCountry('  ', aliases), null)
+  assert.equal(resolveCountry(null, aliases), null)
+})
+
+test('aggregateCountries merges spellings and averages rated books', () => {
+  const books = [
+    { country: 'USA', rating: 4 },
+    { country: 'US', rating: 3 },
+    { country: 'UK', rating: null },
+    { country: 'France', rating: 5 },
+    { country: '' },
+  ]
+  const aliases = { usa: 'United States of America', us: 'United States of America', uk: 'United Kingdom' }
+  assert.deepEqual(aggregateCountries(books, 'country', { aliases, ratingKey: 'rating' }), [
+    { country: 'United States of America', count: 2, avgRating: 3.5 },
+    { country: 'France', count: 1, avgRating: 5 },
+    { country: 'United Kingdom', count: 1, avgRating: null },
+  ])
+})
+
+test('splitAdaptations keeps dated adaptations on the timeline', () => {
+  const books = [
+    { adapted: true, year: 1960, film: 1962 },
+    { adapted: true, year: 1990, film: null },
+    { adapted: false, year: 2001, film: 2005 },
+    { adapted: true, year: 2010, film: 2008 },
+    { adapted: false, year: 1999, film: null },
+  ]
+  const { adapted, other, timeline } = splitAdaptations(books, { adaptedKey: 'adapted', yearKey: 'year', movieYearKey: 'film' })
+  assert.deepEqual(adapted, books.slice(0, 4))
+  assert.deepEqual(other, [books[4]])
+  assert.deepEqual(
+    timeline.map((d) => d.lag),
+    [2, 4],
+  )
+})
+
+test('lagHistogram bins from zero and gathers long lags in an open bin', () => {
+  const bins = lagHistogram([0, 4, 5, 12, 300], { step: 5, cap: 15 })
+  assert.deepEqual(
+    bins.map((b) => [b.x0, b.x1, b.count]),
+    [
+      [0, 5, 2],
+      [5, 10, 1],
+      [10, 15, 1],
+      [15, Infinity, 1],
+    ],
+  )
+  assert.equal(lagHistogram([1, 2, 3], { step: 5 }).length, 2)
+  const ancient = lagHistogram([...Array.from({ length: 19 }, (_, i) => i * 10), 2754], { step: 10, maxCap: 100 })
+  assert.deepEqual(ancient[ancient.length - 1], { x0: 100, x1: Infinity, count: 10 })
+})
+
+test('ratingShares compares groups of different sizes as shares', () => {
+  const { bands, stats } = ratingShares({ adapted: [4, 4.1, 4.6, 4.9], other: [3.6] }, { step: 0.5 })
+  assert.deepEqual(
+    bands.map((b) => b.x0),
+    [3.5, 4, 4.5],
+  )
+  assert.deepEqual(bands[1].shares, { adapted: 0.5, other: 0 })
+  assert.equal(bands[0].shares.other, 1)
+  assert.deepEqual(stats.other, { n: 1, median: 3.6, mean: 3.6 })
+  assert.equal(stats.adapted.median, 4.35)
+})
+
+test('every transform accepts empty input', () => {
+  assert.deepEqual(parseDatasetText('', 'csv'), { rows: [], columns: [] })
+  assert.deepEqual(parseDatasetText('\uFEFF', 'csv'), { rows: [], columns: [] })
+  assert.deepEqual(aggregateGenres([], 'genre'), [])
+  assert.deepEqual(aggregateGenres(null, 'genre'), [])
+  assert.deepEqual(sortGenres([], 'rating'), [])
+  assert.deepEqual(binHeatmap([], heatmapKeys), { data: [], yearBins: [], ratingBins: [], excluded: 0 })
+  assert.deepEqual(autoDims([]), [])
+  assert.deepEqual(pickDims([]), [])
+  assert.equal(linearFit([]), null)
+  assert.deepEqual(loess([]), [])
+  assert.deepEqual(buildTagGraph([], 'tags'), { nodes: [], links: [] })
+  assert.deepEqual(aggregateCountries([], 'country'), [])
+  assert.deepEqual(splitAdaptations([], { adaptedKey: 'adapted' }), { adapted: [], other: [], timeline: [] })
+  assert.deepEqual(lagHistogram([]), [])
+  assert.deepEqual(ratingShares({ adapted: [], other: [] }), { bands: [], stats: {} })
+})
+
+function totalCount(data) {
+  return data.reduce((sum, d) => sum + d.count, 0)
+}
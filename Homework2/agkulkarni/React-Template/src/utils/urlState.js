@@ -0,0 +1,304 @@
+import { initialSelection } from '../stores/selectionReducer.js'
+import { initialView } from '../stores/viewReducer.js'
+import {
+  ADAPTATION_SORT_OPTIONS,
+  CAT_ORDER_OPTIONS,
+  CREDIT_OPTIONS,
+  DRAG_OPTIONS,
+  LINE_MODE_OPTIONS,
+  MISSING_OPTIONS,
+  MEASURE_OPTIONS,
+  MOTION_OPTIONS,
+  NORMALIZE_OPTIONS,
+  PALETTE_OPTIONS,
+  RATING_BIN_OPTIONS,
+  SCALE_OPTIONS,
+  SORT_OPTIONS,
+  TOP_N_OPTIONS,
+  TREND_OPTIONS,
+  YEAR_BIN_OPTIONS,
+} from '../config/viewOptions.js'
+import { splitGenres } from './bookFields.js'
+import { resolveCountry } from './transforms.js'
+import countryAliases from '../config/countryAliases.json'
+import { facetValue } from './search.js'
+import { describeAxes, isCategoryBrush } from './axes.js'
+import { buildLineGroups } from './lineGroups.js'
+import { parseBreakpoints, ratingBinLabel, yearBinLabel } from './binning.js'
+
+const VIEW_PARAMS = [
+  { param: 'top', chart: 'bar', key: 'topN', options: TOP_N_OPTIONS },
+  { param: 'sort', chart: 'bar', key: 'sortBy', options: SORT_OPTIONS },
+  { param: 'measure', chart: 'bar', key: 'measure', options: MEASURE_OPTIONS },
+  { param: 'credit', chart: 'bar', key: 'credit', options: CREDIT_OPTIONS },
+  { param: 'years', chart: 'heatmap', key: 'yearBin', options: YEAR_BIN_OPTIONS },
+  { param: 'rbin', chart: 'heatmap', key: 'ratingBin', options: RATING_BIN_OPTIONS },
+  { param: 'values', chart: 'heatmap', key: 'normalize', options: NORMALIZE_OPTIONS },
+  { param: 'scale', chart: 'heatmap', key: 'scaleMode', options: SCALE_OPTIONS },
+  { param: 'palette', chart: 'heatmap', key: 'palette', options: PALETTE_OPTIONS },
+  { param: 'cats', chart: 'pc', key: 'catOrder', options: CAT_ORDER_OPTIONS },
+  { param: 'lines', chart: 'pc', key: 'lineMode', options: LINE_MODE_OPTIONS },
+  { param: 'trend', chart: 'scatter', key: 'trend', options: TREND_OPTIONS },
+  { param: 'drag', chart: 'scatter', key: 'drag', options: DRAG_OPTIONS },
+  { param: 'mapby', chart: 'map', key: 'measure', options: MEASURE_OPTIONS },
+  { param: 'asort', chart: 'adaptation', key: 'sortBy', options: ADAPTATION_SORT_OPTIONS },
+  { param: 'missing', chart: 'missing', key: 'mode', options: MISSING_OPTIONS },
+  { param: 'motion', chart: 'motion', key: 'mode', options: MOTION_OPTIONS },
+]
+
+// Scatterplot encodings, each naming a numeric column.
+const SCATTER_PARAMS = [
+  { param: 'sx', key: 'x' },
+  { param: 'sy', key: 'y' },
+  { param: 'ssize', key: 'size' },
+]
+
+const SELECTION_PARAMS = ['q', 'facet', 'genres', 'tags', 'countries', 'cell', 'brush', 'pick', 'lasso', 'book']
+const OTHER_PARAMS = ['breaks', 'zoom', 'tagmin', 'axes', 'flip', 'color', 'hide', ...SCATTER_PARAMS.map((p) => p.param), 'scolor', 'shide']
+
+function splitList(raw) {
+  return String(raw ?? '')
+    .split(',')
+    .map((d) => d.trim())
+    .filter(Boolean)
+}
+
+function parseNumbers(raw, count) {
+  const values = splitList(raw).map(Number)
+  return values.length === count && values.every(Number.isFinite) ? values : null
+}
+
+const roundBrush = (v) => Number(v.toPrecision(6))
+
+export function serializeUrlState(selection, view) {
+  const params = new URLSearchParams()
+
+  if (selection.query.trim() !== '') params.set('q', selection.query)
+  for (const [column, values] of Object.entries(selection.facets)) {
+    for (const value of values) params.append('facet', `${column}:${value}`)
+  }
+  if (selection.genres.length > 0) params.set('genres', selection.genres.join(','))
+  if (selection.tags.length > 0) params.set('tags', selection.tags.join(','))
+  if (selection.countries.length > 0) params.set('countries', selection.countries.join(','))
+  if (selection.cell) params.set('cell', [...selection.cell.year, ...selection.cell.rating].join(','))
+  for (const [dim, brush] of Object.entries(selection.brushes)) {
+    if (isCategoryBrush(brush)) {
+      for (const value of brush.values) params.append('pick', `${dim}:${value}`)
+    } else {
+      params.append('brush', [dim, roundBrush(brush[0]), roundBrush(brush[1])].join(','))
+    }
+  }
+  if (selection.lasso.length > 0) params.set('lasso', selection.lasso.join(','))
+  if (selection.book !== null) params.set('book', String(selection.book))
+
+  for (const { param, chart, key } of VIEW_PARAMS) {
+    if (view[chart][key] !== initialView[chart][key]) params.set(param, String(view[chart][key]))
+  }
+  if (view.heatmap.breakpoints !== initialView.heatmap.breakpoints) params.set('breaks', view.heatmap.breakpoints)
+  if (view.heatmap.zoom) params.set('zoom', view.heatmap.zoom.join(','))
+  if (view.network.minWeight !== initialView.network.minWeight) params.set('tagmin', String(view.network.minWeight))
+  if (view.pc.order.length > 0) params.set('axes', view.pc.order.join(','))
+  if (view.pc.flipped.length > 0) params.set('flip', view.pc.flipped.join(','))
+  if (view.pc.colorBy) params.set('color', view.pc.colorBy)
+  for (const group of view.pc.hidden) params.append('hide', group)
+  for (const { param, key } of SCATTER_PARAMS) {
+    if (view.scatter[key]) params.set(param, view.scatter[key])
+  }
+  if (view.scatter.colorBy) params.set('scolor', view.scatter.colorBy)
+  for (const group of view.scatter.hidden) params.append('shide', group)
+
+  return params.toString().replace(/%2C/g, ',').replace(/%3A/g, ':')
+}
+
+// Reads dashboard state from a query string, checking every value against the
+// loaded dataset. Anything unusable is dropped and reported as an issue.
+export function parseUrlState(search, { rows, columns, schema, rowId }) {
+  const params = new URLSearchParams(search)
+  const issues = []
+  const warn = (param, message) => issues.push({ level: 'warning', param, message })
+
+  const known = new Set([...VIEW_PARAMS.map((p) => p.param), ...SELECTION_PARAMS, ...OTHER_PARAMS])
+  for (const param of new Set(params.keys())) {
+    if (!known.has(param)) warn(param, `Unknown parameter "${param}".`)
+  }
+
+  const axisInfo = describeAxes(rows, columns, new Set([...schema.exclude, schema.fields.title].filter(Boolean)))
+  const checkColumn = (param, dim, kinds = ['number', 'boolean', 'category']) => {
+    if (kinds.includes(axisInfo.get(dim)?.kind)) return true
+    const expected = kinds.length === 1 ? 'a numeric column' : kinds.includes('number') ? 'a plottable column' : 'a categorical column'
+    warn(param, `"${dim}" is not ${expected} in this dataset.`)
+    return false
+  }
+
+  const view = {
+    bar: { ...initialView.bar },
+    heatmap: { ...initialView.heatmap },
+    pc: { ...initialView.pc, order: [], flipped: [], hidden: [] },
+    scatter: { ...initialView.scatter, hidden: [] },
+    network: { ...initialView.network },
+    map: { ...initialView.map },
+    adaptation: { ...initialView.adaptation },
+    missing: { ...initialView.missing },
+    motion: { ...initialView.motion },
+  }
+
+  for (const { param, chart, key, options } of VIEW_PARAMS) {
+    if (!params.has(param)) continue
+    const raw = params.get(param)
+    const match = options.find((o) => String(o.value) === raw)
+    if (match) view[chart][key] = match.value
+    else warn(param, `"${raw}" is not a valid value for ${param} (expected ${options.map((o) => o.value).join(', ')}).`)
+  }
+
+  if (params.has('breaks')) {
+    const raw = params.get('breaks')
+    if (parseBreakpoints(raw)) view.heatmap.breakpoints = raw
+    else warn('breaks', `"${raw}" needs two or more numeric breakpoints.`)
+  }
+
+  if (params.has('zoom')) {
+    const raw = params.get('zoom')
+    const range = parseNumbers(raw, 2)
+    if (range && range.every(Number.isInteger) && range[0] < range[1]) view.heatmap.zoom = range
+    else warn('zoom', `"${raw}" is not a valid year range (expected fromYear,toYear).`)
+  }
+
+  if (params.has('tagmin')) {
+    const raw = params.get('tagmin')
+    const value = Number(raw)
+    if (Number.isInteger(value) && value >= 1) view.network.minWeight = value
+    else warn('tagmin', `"${raw}" is not a valid minimum number of shared books (expected a whole number of at least 1).`)
+  }
+
+  for (const param of ['axes', 'flip']) {
+    if (!params.has(param)) continue
+    const dims = Array.from(new Set(splitList(params.get(param)))).filter((dim) => checkColumn(param, dim))
+    view.pc[param === 'axes' ? 'order' : 'flipped'] = dims
+  }
+
+  for (const { param, key } of SCATTER_PARAMS) {
+    if (params.has(param) && checkColumn(param, params.get(param), ['number'])) view.scatter[key] = params.get(param)
+  }
+
+  // Coloring and hidden legend groups, for the parallel coordinates
+  // (color/hide) and the scatterplot (scolor/shide).
+  for (const [colorParam, hideParam, chart, name] of [
+    ['color', 'hide', 'pc', 'the parallel coordinates'],
+    ['scolor', 'shide', 'scatter', 'the scatterplot'],
+  ]) {
+    if (params.has(colorParam)) {
+      const raw = params.get(colorParam)
+      if (raw === schema.fields.genre || axisInfo.has(raw)) view[chart].colorBy = raw
+      else warn(colorParam, `"${raw}" is not a column ${name} can color by.`)
+    }
+
+    if (params.has(hideParam)) {
+      const colorBy = view[chart].colorBy
+      const grouping = buildLineGroups(rows, colorBy, { kind: axisInfo.get(colorBy)?.kind, genreKey: schema.fields.genre })
+      for (const group of new Set(params.getAll(hideParam))) {
+        if (grouping?.groups.some((g) => g.key === group)) view[chart].hidden.push(group)
+        else warn(hideParam, `"${group}" is not a group of the current coloring of ${name}.`)
+      }
+    }
+  }
+
+  const selection = { ...initialSelection, genres: [], tags: [], countries: [], brushes: {}, lasso: [], facets: {} }
+  const { genre: genreKey, tags: tagsKey, country: countryKey, year: yearKey, rating: ratingKey } = schema.fields
+
+  if (params.has('q')) selection.query = params.get('q')
+
+  for (const raw of params.getAll('facet')) {
+    const split = raw.indexOf(':')
+    const column = split > 0 ? raw.slice(0, split) : ''
+    const value = raw.slice(split + 1)
+    if (!schema.facets.includes(column)) {
+      warn('facet', `"${raw}" is not a facet of this dataset (expected column:value).`)
+    } else if (!rows.some((r) => facetValue(r, column) === value)) {
+      warn('facet', `No book has ${column} "${value}".`)
+    } else if (!selection.facets[column]?.includes(value)) {
+      selection.facets[column] = [...(selection.facets[column] ?? []), value]
+    }
+  }
+
+  if (params.has('genres')) {
+    const allGenres = new Set(genreKey ? rows.flatMap((r) => splitGenres(r?.[genreKey])) : [])
+    for (const genre of Array.from(new Set(splitList(params.get('genres'))))) {
+      if (allGenres.has(genre)) selection.genres.push(genre)
+      else warn('genres', `Genre "${genre}" does not appear in this dataset.`)
+    }
+  }
+
+  if (params.has('tags')) {
+    const allTags = new Set(tagsKey ? rows.flatMap((r) => splitGenres(r?.[tagsKey])) : [])
+    for (const tag of Array.from(new Set(splitList(params.get('tags'))))) {
+      if (allTags.has(tag)) selection.tags.push(tag)
+      else warn('tags', `Tag "${tag}" does not appear in this dataset.`)
+    }
+  }
+
+  if (params.has('countries')) {
+    const allCountries = new Set(countryKey ? rows.map((r) => resolveCountry(r?.[countryKey], countryAliases)) : [])
+    for (const country of Array.from(new Set(splitList(params.get('countries'))))) {
+      if (allCountries.has(country)) selection.countries.push(country)
+      else warn('countries', `Country "${country}" does not appear in this dataset.`)
+    }
+  }
+
+  if (params.has('cell')) {
+    const raw = params.get('cell')
+    const values = parseNumbers(raw, 4)
+    if (!yearKey || !ratingKey) {
+      warn('cell', 'This dataset has no year and rating columns to select a cell from.')
+    } else if (!values || values[0] >= values[1] || values[2] >= values[3]) {
+      warn('cell', `"${raw}" is not a valid cell (expected yearFrom,yearTo,ratingFrom,ratingTo).`)
+    } else {
+      const year = [values[0], values[1]]
+      const rating = [values[2], values[3]]
+      selection.cell = { year, rating, label: `${yearBinLabel(year)}, ${ratingBinLabel(rating)}` }
+    }
+  }
+
+  for (const raw of params.getAll('brush')) {
+    const parts = splitList(raw)
+    const range = parseNumbers(parts.slice(-2).join(','), 2)
+    const dim = parts.slice(0, -2).join(',')
+    if (!dim || !range || range[0] > range[1]) {
+      warn('brush', `"${raw}" is not a valid brush (expected column,from,to).`)
+      continue
+    }
+    if (checkColumn('brush', dim, ['number'])) selection.brushes[dim] = range
+  }
+
+  for (const raw of params.getAll('pick')) {
+    const split = raw.indexOf(':')
+    const dim = split > 0 ? raw.slice(0, split) : ''
+    const value = raw.slice(split + 1)
+    if (!dim) {
+      warn('pick', `"${raw}" is not a valid pick (expected column:value).`)
+    } else if (!checkColumn('pick', dim, ['boolean', 'category'])) {
+      continue
+    } else if (!axisInfo.get(dim).categories.includes(value)) {
+      warn('pick', `No book has ${dim} "${value}".`)
+    } else {
+      const values = selection.brushes[dim]?.values ?? []
+      if (!values.includes(value)) selection.brushes[dim] = { values: [...values, value] }
+    }
+  }
+
+  if (params.has('lasso')) {
+    const byId = new Map(rows.map((r) => [String(rowId(r)), rowId(r)]))
+    for (const raw of new Set(splitList(params.get('lasso')))) {
+      if (byId.has(raw)) selection.lasso.push(byId.get(raw))
+      else warn('lasso', `No book with id "${raw}" in this dataset.`)
+    }
+  }
+
+  if (params.has('book')) {
+    const raw = params.get('book')
+    const row = rows.find((r) => String(rowId(r)) === raw)
+    if (row) selection.book = rowId(row)
+    else warn('book', `No book with id "${raw}" in this dataset.`)
+  }
+
+  return { selection, view, issues }
+}